@@ -20,7 +20,24 @@ pool.on('error', (err) => {
   console.error('Ошибка подключения к базе данных:', err);
 });
 
+// Выполнение набора запросов в одной транзакции
+const transaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   pool,
   query: (text, params) => pool.query(text, params),
+  transaction,
 }; 
\ No newline at end of file
@@ -48,10 +48,22 @@ const options = {
               format: 'email',
               description: 'Email пользователя'
             },
+            email_verified: {
+              type: 'boolean',
+              description: 'Подтвержден ли email'
+            },
             avatar_url: {
               type: 'string',
               format: 'uri',
-              description: 'URL аватара пользователя'
+              description: 'URL аватара пользователя (256 px)'
+            },
+            avatar_variants: {
+              $ref: '#/components/schemas/AvatarVariants'
+            },
+            role: {
+              type: 'string',
+              enum: ['user', 'moderator', 'admin'],
+              description: 'Роль пользователя'
             },
             created_at: {
               type: 'string',
@@ -60,6 +72,16 @@ const options = {
             }
           }
         },
+        AvatarVariants: {
+          type: 'object',
+          nullable: true,
+          description: 'URL квадратных копий аватара по размеру в пикселях',
+          properties: {
+            64: { type: 'string', format: 'uri' },
+            128: { type: 'string', format: 'uri' },
+            256: { type: 'string', format: 'uri' }
+          }
+        },
         Article: {
           type: 'object',
           properties: {
@@ -73,12 +95,53 @@ const options = {
             },
             content: {
               type: 'string',
-              description: 'Содержание статьи'
+              description: 'Исходный текст статьи'
+            },
+            content_format: {
+              type: 'string',
+              enum: ['plain', 'markdown'],
+              description: 'Формат исходного текста'
+            },
+            content_html: {
+              type: 'string',
+              description: 'Очищенный HTML для отображения (только при получении статьи по ID)'
+            },
+            toc: {
+              type: 'array',
+              description: 'Оглавление по заголовкам (только при получении статьи по ID)',
+              items: {
+                type: 'object',
+                properties: {
+                  level: {
+                    type: 'integer',
+                    description: 'Уровень заголовка (1-6)'
+                  },
+                  text: {
+                    type: 'string',
+                    description: 'Текст заголовка'
+                  },
+                  id: {
+                    type: 'string',
+                    description: 'Якорь заголовка в content_html'
+                  }
+                }
+              }
             },
             author_id: {
               type: 'integer',
               description: 'Идентификатор автора'
             },
+            status: {
+              type: 'string',
+              enum: ['draft', 'published', 'archived'],
+              description: 'Статус статьи'
+            },
+            published_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Дата первой публикации'
+            },
             author_username: {
               type: 'string',
               description: 'Имя автора'
@@ -102,6 +165,25 @@ const options = {
                 $ref: '#/components/schemas/Reaction'
               }
             },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Теги статьи'
+            },
+            is_bookmarked: {
+              type: 'boolean',
+              description: 'Добавлена ли статья в закладки текущего пользователя (false для неавторизованных)'
+            },
+            search_rank: {
+              type: 'number',
+              description: 'Релевантность статьи поисковому запросу (только при поиске)'
+            },
+            headline: {
+              type: 'string',
+              description: 'Фрагмент содержания в виде HTML: текст экранирован, совпадения выделены тегами <mark> (только при поиске)'
+            },
             created_at: {
               type: 'string',
               format: 'date-time',
@@ -114,6 +196,117 @@ const options = {
             }
           }
         },
+        Tag: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Идентификатор тега'
+            },
+            name: {
+              type: 'string',
+              description: 'Название тега'
+            },
+            articles_count: {
+              type: 'integer',
+              description: 'Количество опубликованных статей с тегом'
+            }
+          }
+        },
+        FollowList: {
+          type: 'object',
+          properties: {
+            users: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'integer',
+                    description: 'ID пользователя'
+                  },
+                  username: {
+                    type: 'string',
+                    description: 'Имя пользователя'
+                  },
+                  avatar_url: {
+                    type: 'string',
+                    description: 'URL аватара'
+                  },
+                  followed_at: {
+                    type: 'string',
+                    format: 'date-time',
+                    description: 'Дата подписки'
+                  }
+                }
+              }
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                page: {
+                  type: 'integer'
+                },
+                limit: {
+                  type: 'integer'
+                },
+                total: {
+                  type: 'integer'
+                },
+                totalPages: {
+                  type: 'integer'
+                },
+                hasNext: {
+                  type: 'boolean'
+                },
+                hasPrev: {
+                  type: 'boolean'
+                }
+              }
+            }
+          }
+        },
+        Revision: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Идентификатор ревизии'
+            },
+            revision_number: {
+              type: 'integer',
+              description: 'Порядковый номер ревизии в истории статьи'
+            },
+            title: {
+              type: 'string',
+              description: 'Заголовок статьи в этой ревизии'
+            },
+            content: {
+              type: 'string',
+              description: 'Содержание статьи в этой ревизии'
+            },
+            content_format: {
+              type: 'string',
+              enum: ['plain', 'markdown'],
+              description: 'Формат содержания в этой ревизии'
+            },
+            author_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Идентификатор автора изменения'
+            },
+            author_username: {
+              type: 'string',
+              nullable: true,
+              description: 'Имя автора изменения'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Дата создания ревизии'
+            }
+          }
+        },
         Comment: {
           type: 'object',
           properties: {
@@ -133,6 +326,26 @@ const options = {
               type: 'integer',
               description: 'Идентификатор автора комментария'
             },
+            parent_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Идентификатор родительского комментария (null для корневых)'
+            },
+            depth: {
+              type: 'integer',
+              description: 'Уровень вложенности (0 для корневых)'
+            },
+            replies_count: {
+              type: 'integer',
+              description: 'Количество прямых ответов'
+            },
+            replies: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Comment'
+              },
+              description: 'Ответы на комментарий'
+            },
             author_username: {
               type: 'string',
               description: 'Имя автора комментария'
@@ -174,6 +387,134 @@ const options = {
             }
           }
         },
+        Media: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Идентификатор изображения'
+            },
+            url: {
+              type: 'string',
+              description: 'Адрес изображения для вставки в статью'
+            },
+            original_name: {
+              type: 'string',
+              description: 'Исходное имя файла'
+            },
+            mime_type: {
+              type: 'string',
+              description: 'MIME-тип файла'
+            },
+            size: {
+              type: 'integer',
+              description: 'Размер файла в байтах'
+            },
+            article_ids: {
+              type: 'array',
+              items: {
+                type: 'integer'
+              },
+              description: 'Статьи, в которых используется изображение (только в списке)'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Дата загрузки'
+            }
+          }
+        },
+        MediaUsage: {
+          type: 'object',
+          properties: {
+            used: {
+              type: 'integer',
+              description: 'Занято байт'
+            },
+            quota: {
+              type: 'integer',
+              description: 'Квота в байтах'
+            }
+          }
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Идентификатор уведомления'
+            },
+            type: {
+              type: 'string',
+              enum: ['comment', 'reply', 'reaction', 'follow'],
+              description: 'Тип события'
+            },
+            actor_id: {
+              type: 'integer',
+              description: 'ID пользователя, совершившего действие'
+            },
+            actor_username: {
+              type: 'string',
+              description: 'Имя пользователя, совершившего действие'
+            },
+            actor_avatar: {
+              type: 'string',
+              description: 'Аватар пользователя, совершившего действие'
+            },
+            article_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'ID статьи'
+            },
+            article_title: {
+              type: 'string',
+              nullable: true,
+              description: 'Заголовок статьи'
+            },
+            comment_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'ID комментария'
+            },
+            reaction_emoji: {
+              type: 'string',
+              nullable: true,
+              description: 'Эмодзи реакции (для уведомлений о реакциях)'
+            },
+            read_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Дата прочтения'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Дата создания'
+            }
+          }
+        },
+        NotificationPreferences: {
+          type: 'object',
+          properties: {
+            comment: {
+              type: 'boolean',
+              description: 'Комментарии к моим статьям'
+            },
+            reply: {
+              type: 'boolean',
+              description: 'Ответы на мои комментарии'
+            },
+            reaction: {
+              type: 'boolean',
+              description: 'Реакции на мои статьи и комментарии'
+            },
+            follow: {
+              type: 'boolean',
+              description: 'Новые подписчики'
+            }
+          }
+        },
         RegisterRequest: {
           type: 'object',
           required: ['username', 'email', 'password'],
@@ -191,8 +532,8 @@ const options = {
             },
             password: {
               type: 'string',
-              minLength: 6,
-              description: 'Пароль пользователя'
+              minLength: 8,
+              description: 'Пароль пользователя: минимум 8 символов, не более 72 байт в UTF-8, хотя бы одна буква и одна цифра'
             }
           }
         },
@@ -211,6 +552,16 @@ const options = {
             }
           }
         },
+        RefreshTokenRequest: {
+          type: 'object',
+          required: ['refreshToken'],
+          properties: {
+            refreshToken: {
+              type: 'string',
+              description: 'Refresh-токен, полученный при входе или предыдущем обновлении'
+            }
+          }
+        },
         ArticleRequest: {
           type: 'object',
           required: ['title', 'content'],
@@ -225,6 +576,28 @@ const options = {
               type: 'string',
               minLength: 1,
               description: 'Содержание статьи'
+            },
+            content_format: {
+              type: 'string',
+              enum: ['plain', 'markdown'],
+              default: 'plain',
+              description: 'Формат содержания'
+            },
+            status: {
+              type: 'string',
+              enum: ['draft', 'published'],
+              default: 'draft',
+              description: 'Статус статьи при создании'
+            },
+            tags: {
+              type: 'array',
+              maxItems: 10,
+              items: {
+                type: 'string',
+                minLength: 2,
+                maxLength: 50
+              },
+              description: 'Теги статьи'
             }
           }
         },
@@ -0,0 +1,12 @@
+-- Полное удаление схемы ArticleHub (все данные будут потеряны)
+
+DROP TABLE IF EXISTS
+    comment_reactions,
+    article_reactions,
+    reactions,
+    comments,
+    articles,
+    users
+CASCADE;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
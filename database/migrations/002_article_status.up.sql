@@ -0,0 +1,19 @@
+-- Статусы статей: черновик, опубликована, в архиве.
+-- Статьи, созданные до появления статусов, были видны всем, поэтому считаются
+-- опубликованными в момент создания; новые статьи по умолчанию — черновики
+
+ALTER TABLE articles
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published' CHECK (status IN ('draft', 'published', 'archived')),
+    ADD COLUMN IF NOT EXISTS published_at TIMESTAMP;
+
+ALTER TABLE articles ALTER COLUMN status SET DEFAULT 'draft';
+
+-- Заполнение published_at не считается редактированием статьи
+ALTER TABLE articles DISABLE TRIGGER update_articles_updated_at;
+
+UPDATE articles SET published_at = created_at
+WHERE status = 'published' AND published_at IS NULL;
+
+ALTER TABLE articles ENABLE TRIGGER update_articles_updated_at;
+
+CREATE INDEX IF NOT EXISTS idx_articles_status ON articles(status);
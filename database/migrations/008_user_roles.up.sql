@@ -0,0 +1,3 @@
+-- Роли пользователей. Администратора назначает npm run set-role
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin'));
@@ -0,0 +1,6 @@
+-- Подтверждение email. Аккаунты, зарегистрированные до появления проверки,
+-- считаются подтвержденными, чтобы REQUIRE_EMAIL_VERIFICATION их не заблокировал;
+-- новые аккаунты по умолчанию не подтверждены
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT FALSE;
@@ -0,0 +1,3 @@
+-- Заполняется при удалении аккаунта с анонимизацией: запись остается,
+-- чтобы сохранить опубликованные статьи и комментарии
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
@@ -0,0 +1,9 @@
+-- Закладки (список для чтения)
+CREATE TABLE IF NOT EXISTS bookmarks (
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, article_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bookmarks_article_id ON bookmarks(article_id);
@@ -0,0 +1,3 @@
+-- Формат содержания статьи. Существующие статьи остаются обычным текстом
+ALTER TABLE articles
+    ADD COLUMN IF NOT EXISTS content_format VARCHAR(20) NOT NULL DEFAULT 'plain' CHECK (content_format IN ('plain', 'markdown'));
@@ -0,0 +1,2 @@
+-- Файлы в хранилище не удаляются
+DROP TABLE IF EXISTS article_media, media;
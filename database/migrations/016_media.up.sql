@@ -0,0 +1,20 @@
+-- Загруженные изображения для статей
+CREATE TABLE IF NOT EXISTS media (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    filename VARCHAR(255) UNIQUE NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(50) NOT NULL,
+    size INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Использование изображений в статьях (пересчитывается при сохранении статьи)
+CREATE TABLE IF NOT EXISTS article_media (
+    article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
+    media_id INTEGER REFERENCES media(id) ON DELETE CASCADE,
+    PRIMARY KEY (article_id, media_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_user_id ON media(user_id);
+CREATE INDEX IF NOT EXISTS idx_article_media_media_id ON article_media(media_id);
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_articles_created_at;
+CREATE INDEX idx_articles_created_at ON articles(created_at DESC);
+
+DROP INDEX IF EXISTS idx_comments_article_id;
+CREATE INDEX idx_comments_article_id ON comments(article_id);
@@ -0,0 +1,7 @@
+-- Индексы под сортировку курсорной пагинации: id различает записи
+-- с одинаковым created_at
+DROP INDEX IF EXISTS idx_articles_created_at;
+CREATE INDEX idx_articles_created_at ON articles(created_at DESC, id DESC);
+
+DROP INDEX IF EXISTS idx_comments_article_id;
+CREATE INDEX idx_comments_article_id ON comments(article_id, created_at, id);
@@ -0,0 +1,26 @@
+-- Удаление счетчиков: триггеры, таблицы по типам реакций и колонки
+
+DROP TRIGGER IF EXISTS update_comment_reaction_counters ON comment_reactions;
+DROP TRIGGER IF EXISTS update_article_reaction_counters ON article_reactions;
+DROP TRIGGER IF EXISTS update_article_counters ON articles;
+DROP TRIGGER IF EXISTS update_comment_counters ON comments;
+
+DROP FUNCTION IF EXISTS update_comment_reaction_counters();
+DROP FUNCTION IF EXISTS update_article_reaction_counters();
+DROP FUNCTION IF EXISTS update_article_counters();
+DROP FUNCTION IF EXISTS update_comment_counters();
+
+DROP TABLE IF EXISTS comment_reaction_counts, article_reaction_counts;
+
+ALTER TABLE comments DROP COLUMN IF EXISTS replies_count, DROP COLUMN IF EXISTS reactions_count;
+ALTER TABLE articles DROP COLUMN IF EXISTS comments_count, DROP COLUMN IF EXISTS reactions_count;
+ALTER TABLE users DROP COLUMN IF EXISTS articles_count, DROP COLUMN IF EXISTS comments_count;
+
+-- Функция для автоматического обновления updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
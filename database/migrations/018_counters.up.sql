@@ -0,0 +1,167 @@
+-- Денормализованные счетчики комментариев и реакций, поддерживаемые триггерами.
+-- Существующие данные пересчитываются в той же транзакции теми же запросами,
+-- что и в scripts/repair-counters.js
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS articles_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS comments_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE articles
+    ADD COLUMN IF NOT EXISTS comments_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS reactions_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE comments
+    ADD COLUMN IF NOT EXISTS replies_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS reactions_count INTEGER NOT NULL DEFAULT 0;
+
+-- Количество реакций каждого типа у статьи (поддерживается триггером, нулевые записи удаляются)
+CREATE TABLE IF NOT EXISTS article_reaction_counts (
+    article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
+    reaction_id INTEGER REFERENCES reactions(id) ON DELETE CASCADE,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (article_id, reaction_id)
+);
+
+-- Количество реакций каждого типа у комментария (поддерживается триггером, нулевые записи удаляются)
+CREATE TABLE IF NOT EXISTS comment_reaction_counts (
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    reaction_id INTEGER REFERENCES reactions(id) ON DELETE CASCADE,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (comment_id, reaction_id)
+);
+
+-- Функция для автоматического обновления updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Обновления из других триггеров и пересчет (npm run repair-counters) меняют
+    -- только счетчики и не считаются редактированием
+    IF pg_trigger_depth() > 1 OR current_setting('articlehub.counters_only', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Счетчики комментариев: у статьи, у родительского комментария и у автора
+CREATE OR REPLACE FUNCTION update_comment_counters()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE articles SET comments_count = comments_count + 1 WHERE id = NEW.article_id;
+        UPDATE comments SET replies_count = replies_count + 1 WHERE id = NEW.parent_id;
+        UPDATE users SET comments_count = comments_count + 1 WHERE id = NEW.author_id;
+    ELSE
+        UPDATE articles SET comments_count = comments_count - 1 WHERE id = OLD.article_id;
+        UPDATE comments SET replies_count = replies_count - 1 WHERE id = OLD.parent_id;
+        UPDATE users SET comments_count = comments_count - 1 WHERE id = OLD.author_id;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_comment_counters ON comments;
+CREATE TRIGGER update_comment_counters AFTER INSERT OR DELETE ON comments
+    FOR EACH ROW EXECUTE FUNCTION update_comment_counters();
+
+-- Счетчик опубликованных статей автора
+CREATE OR REPLACE FUNCTION update_article_counters()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.status = 'published' THEN
+        UPDATE users SET articles_count = articles_count - 1 WHERE id = OLD.author_id;
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.status = 'published' THEN
+        UPDATE users SET articles_count = articles_count + 1 WHERE id = NEW.author_id;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_article_counters ON articles;
+CREATE TRIGGER update_article_counters AFTER INSERT OR DELETE OR UPDATE OF status, author_id ON articles
+    FOR EACH ROW EXECUTE FUNCTION update_article_counters();
+
+-- Счетчики реакций статьи: общий и по каждому типу
+CREATE OR REPLACE FUNCTION update_article_reaction_counters()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        UPDATE articles SET reactions_count = reactions_count - 1 WHERE id = OLD.article_id;
+        UPDATE article_reaction_counts SET count = count - 1
+        WHERE article_id = OLD.article_id AND reaction_id = OLD.reaction_id;
+        DELETE FROM article_reaction_counts
+        WHERE article_id = OLD.article_id AND reaction_id = OLD.reaction_id AND count <= 0;
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        UPDATE articles SET reactions_count = reactions_count + 1 WHERE id = NEW.article_id;
+        INSERT INTO article_reaction_counts (article_id, reaction_id, count)
+        VALUES (NEW.article_id, NEW.reaction_id, 1)
+        ON CONFLICT (article_id, reaction_id) DO UPDATE SET count = article_reaction_counts.count + 1;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_article_reaction_counters ON article_reactions;
+CREATE TRIGGER update_article_reaction_counters AFTER INSERT OR DELETE OR UPDATE OF article_id, reaction_id ON article_reactions
+    FOR EACH ROW EXECUTE FUNCTION update_article_reaction_counters();
+
+-- Счетчики реакций комментария: общий и по каждому типу
+CREATE OR REPLACE FUNCTION update_comment_reaction_counters()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        UPDATE comments SET reactions_count = reactions_count - 1 WHERE id = OLD.comment_id;
+        UPDATE comment_reaction_counts SET count = count - 1
+        WHERE comment_id = OLD.comment_id AND reaction_id = OLD.reaction_id;
+        DELETE FROM comment_reaction_counts
+        WHERE comment_id = OLD.comment_id AND reaction_id = OLD.reaction_id AND count <= 0;
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        UPDATE comments SET reactions_count = reactions_count + 1 WHERE id = NEW.comment_id;
+        INSERT INTO comment_reaction_counts (comment_id, reaction_id, count)
+        VALUES (NEW.comment_id, NEW.reaction_id, 1)
+        ON CONFLICT (comment_id, reaction_id) DO UPDATE SET count = comment_reaction_counts.count + 1;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_comment_reaction_counters ON comment_reactions;
+CREATE TRIGGER update_comment_reaction_counters AFTER INSERT OR DELETE OR UPDATE OF comment_id, reaction_id ON comment_reactions
+    FOR EACH ROW EXECUTE FUNCTION update_comment_reaction_counters();
+
+-- Пересчет счетчиков по уже существующим данным. Запись в исходные таблицы
+-- блокируется до конца миграции, чтобы триггеры и пересчет не разошлись
+SET LOCAL articlehub.counters_only = 'on';
+LOCK TABLE articles, comments, article_reactions, comment_reactions IN SHARE MODE;
+
+UPDATE articles t SET
+    comments_count = (SELECT COUNT(*) FROM comments c WHERE c.article_id = t.id),
+    reactions_count = (SELECT COUNT(*) FROM article_reactions ar WHERE ar.article_id = t.id);
+
+UPDATE comments t SET
+    replies_count = (SELECT COUNT(*) FROM comments r WHERE r.parent_id = t.id),
+    reactions_count = (SELECT COUNT(*) FROM comment_reactions cr WHERE cr.comment_id = t.id);
+
+UPDATE users t SET
+    articles_count = (SELECT COUNT(*) FROM articles a WHERE a.author_id = t.id AND a.status = 'published'),
+    comments_count = (SELECT COUNT(*) FROM comments c WHERE c.author_id = t.id);
+
+DELETE FROM article_reaction_counts;
+INSERT INTO article_reaction_counts (article_id, reaction_id, count)
+SELECT article_id, reaction_id, COUNT(*)::int FROM article_reactions GROUP BY article_id, reaction_id;
+
+DELETE FROM comment_reaction_counts;
+INSERT INTO comment_reaction_counts (comment_id, reaction_id, count)
+SELECT comment_id, reaction_id, COUNT(*)::int FROM comment_reactions GROUP BY comment_id, reaction_id;
@@ -0,0 +1,9 @@
+-- Формат содержания в ревизиях: восстановление возвращает и формат статьи.
+-- История смены формата раньше не сохранялась, поэтому существующие ревизии
+-- получают текущий формат своей статьи
+ALTER TABLE article_revisions
+    ADD COLUMN IF NOT EXISTS content_format VARCHAR(20) NOT NULL DEFAULT 'plain' CHECK (content_format IN ('plain', 'markdown'));
+
+UPDATE article_revisions ar SET content_format = a.content_format
+FROM articles a
+WHERE a.id = ar.article_id AND ar.content_format <> a.content_format;
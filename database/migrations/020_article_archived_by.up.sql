@@ -0,0 +1,5 @@
+-- Кто перенес статью в архив. Статью, которую архивировал модератор,
+-- автор не может опубликовать снова: восстановить ее может только модератор.
+-- Для статей, архивированных раньше, автор архивации неизвестен
+ALTER TABLE articles
+    ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
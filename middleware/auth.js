@@ -1,26 +1,86 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { STREAM_TOKEN_PURPOSE } = require('../utils/tokens');
 
-const authenticateToken = async (req, res, next) => {
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Роли, которым разрешено модерировать чужие статьи и комментарии
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+// Пользователь и состояние сессии. Токены действительны, только пока
+// не завершена сессия, к которой они привязаны.
+const findSessionUser = async (userId, sessionId) => {
+  const userQuery = `
+    SELECT 
+      u.id, u.username, u.email, u.avatar_url, u.role, u.email_verified,
+      EXISTS (
+        SELECT 1 FROM refresh_tokens rt 
+        WHERE rt.session_id = $2::uuid AND rt.user_id = u.id AND rt.revoked_at IS NULL
+      ) as session_active
+    FROM users u 
+    WHERE u.id = $1 AND u.deleted_at IS NULL
+  `;
+  const userResult = await db.query(userQuery, [userId, sessionId || null]);
+  const user = userResult.rows[0];
+  
+  return {
+    user: user ? {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      avatar_url: user.avatar_url,
+      role: user.role,
+      email_verified: user.email_verified
+    } : null,
+    sessionActive: Boolean(user && user.session_active)
+  };
+};
+
+// Поиск пользователя по токену. Токен с назначением (purpose) принимается
+// только там, где ожидается именно такой токен, а не вместо access-токена.
+// expiresAt — момент (в секундах), после которого доступ по токену прекращается.
+const resolveUser = async (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('token purpose mismatch');
+  }
+
+  const { user, sessionActive } = await findSessionUser(decoded.userId, decoded.sid);
+
+  return {
+    user,
+    sessionActive,
+    sessionId: decoded.sid,
+    expiresAt: decoded.until || decoded.exp
+  };
+};
+
+const bearerToken = (req) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  return authHeader && authHeader.split(' ')[1];
+};
 
+const authenticate = async (req, res, next, token, purpose) => {
   if (!token) {
     return res.status(401).json({ message: 'Токен доступа не предоставлен' });
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
     // Проверяем, существует ли пользователь в базе данных
-    const userQuery = 'SELECT id, username, email, avatar_url FROM users WHERE id = $1';
-    const userResult = await db.query(userQuery, [decoded.userId]);
+    const { user, sessionActive, sessionId, expiresAt } = await resolveUser(token, purpose);
     
-    if (userResult.rows.length === 0) {
+    if (!user) {
       return res.status(401).json({ message: 'Пользователь не найден' });
     }
     
-    req.user = userResult.rows[0];
+    if (!sessionActive) {
+      return res.status(401).json({ message: 'Сессия завершена' });
+    }
+    
+    req.user = user;
+    req.sessionId = sessionId;
+    req.tokenExpiresAt = expiresAt;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -33,6 +93,19 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+const authenticateToken = (req, res, next) => authenticate(req, res, next, bearerToken(req));
+
+// Авторизация потока событий. EventSource в браузере не умеет передавать заголовки,
+// поэтому вместо access-токена в URL передается короткоживущий токен потока
+// (POST /api/events/token) в параметре token
+const authenticateStream = (req, res, next) => {
+  const token = bearerToken(req);
+
+  return token
+    ? authenticate(req, res, next, token)
+    : authenticate(req, res, next, req.query.token, STREAM_TOKEN_PURPOSE);
+};
+
 const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -43,15 +116,13 @@ const optionalAuth = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const userQuery = 'SELECT id, username, email, avatar_url FROM users WHERE id = $1';
-    const userResult = await db.query(userQuery, [decoded.userId]);
+    const { user, sessionActive, sessionId } = await resolveUser(token);
     
-    if (userResult.rows.length === 0) {
+    if (!user || !sessionActive) {
       req.user = null;
     } else {
-      req.user = userResult.rows[0];
+      req.user = user;
+      req.sessionId = sessionId;
     }
     
     next();
@@ -61,8 +132,30 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Middleware для проверки, является ли пользователь автором ресурса
-const checkAuthor = (resourceType) => {
+// Middleware для проверки роли пользователя
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Нет прав доступа' });
+    }
+    
+    next();
+  };
+};
+
+// Middleware, запрещающий действие до подтверждения email.
+// Включается переменной окружения REQUIRE_EMAIL_VERIFICATION=true
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.email_verified) {
+    return res.status(403).json({ message: 'Подтвердите email, чтобы выполнить это действие' });
+  }
+  
+  next();
+};
+
+// Middleware для проверки, является ли пользователь автором ресурса.
+// Пользователи с ролями из allowRoles проходят проверку для любого ресурса.
+const checkAuthor = (resourceType, { allowRoles = [] } = {}) => {
   return async (req, res, next) => {
     try {
       const resourceId = req.params.id;
@@ -85,7 +178,7 @@ const checkAuthor = (resourceType) => {
         return res.status(404).json({ message: 'Ресурс не найден' });
       }
       
-      if (result.rows[0].author_id !== req.user.id) {
+      if (result.rows[0].author_id !== req.user.id && !allowRoles.includes(req.user.role)) {
         return res.status(403).json({ message: 'Нет прав доступа' });
       }
       
@@ -97,7 +190,13 @@ const checkAuthor = (resourceType) => {
 };
 
 module.exports = {
+  ROLES,
+  MODERATOR_ROLES,
+  findSessionUser,
   authenticateToken,
+  authenticateStream,
   optionalAuth,
+  requireRole,
+  requireVerifiedEmail,
   checkAuthor
 }; 
\ No newline at end of file
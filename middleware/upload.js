@@ -1,18 +1,8 @@
 const multer = require('multer');
-const path = require('path');
-
-// Конфигурация хранения файлов
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, process.env.UPLOAD_PATH || 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    // Генерируем уникальное имя файла
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const fileExtension = path.extname(file.originalname);
-    cb(null, `avatar-${req.user.id}-${uniqueSuffix}${fileExtension}`);
-  }
-});
+const { detectImageType } = require('../utils/images');
+
+// Максимальное количество файлов в одной загрузке медиа
+const MEDIA_MAX_FILES = parseInt(process.env.MEDIA_MAX_FILES) || 10;
 
 // Фильтр для проверки типа файла
 const fileFilter = (req, file, cb) => {
@@ -25,15 +15,24 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-// Конфигурация multer
+// Файлы принимаются в память и после проверки передаются в хранилище (utils/storage)
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   fileFilter: fileFilter,
   limits: {
     fileSize: parseInt(process.env.UPLOAD_MAX_SIZE) || 5 * 1024 * 1024 // 5MB по умолчанию
   }
 });
 
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: parseInt(process.env.UPLOAD_MAX_SIZE) || 5 * 1024 * 1024,
+    files: MEDIA_MAX_FILES
+  }
+});
+
 // Middleware для обработки ошибок загрузки
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -41,7 +40,7 @@ const handleUploadError = (err, req, res, next) => {
       return res.status(400).json({ message: 'Файл слишком большой (максимум 5MB)' });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({ message: 'Слишком много файлов' });
+      return res.status(400).json({ message: `Слишком много файлов (максимум ${MEDIA_MAX_FILES})` });
     }
     return res.status(400).json({ message: 'Ошибка загрузки файла' });
   }
@@ -53,7 +52,27 @@ const handleUploadError = (err, req, res, next) => {
   next(err);
 };
 
+// Сверяет содержимое загруженных файлов с сигнатурами JPEG, PNG и GIF.
+// Тип файла берется из содержимого, а не из заголовка клиента.
+const verifyImageSignature = (req, res, next) => {
+  const files = req.file ? [req.file] : (req.files || []);
+
+  for (const file of files) {
+    const mimeType = detectImageType(file.buffer);
+
+    if (!mimeType) {
+      return res.status(400).json({ message: 'Содержимое файла не соответствует формату JPEG, PNG или GIF' });
+    }
+
+    file.mimetype = mimeType;
+  }
+
+  next();
+};
+
 module.exports = {
   uploadAvatar: upload.single('avatar'),
-  handleUploadError
+  uploadMedia: mediaUpload.array('files', MEDIA_MAX_FILES),
+  handleUploadError,
+  verifyImageSignature
 }; 
\ No newline at end of file
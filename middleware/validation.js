@@ -20,6 +20,26 @@ const validate = (schema) => {
   };
 };
 
+// Ограничение bcrypt: учитываются только первые 72 байта пароля в UTF-8,
+// а буквы не из латиницы занимают несколько байт
+const PASSWORD_MAX_BYTES = 72;
+
+// Правило для нового пароля (регистрация, сброс и смена пароля)
+const passwordRule = Joi.string()
+  .min(8)
+  .custom((value, helpers) => {
+    return Buffer.byteLength(value, 'utf8') > PASSWORD_MAX_BYTES ? helpers.error('string.maxBytes') : value;
+  })
+  .pattern(/\p{L}/u, 'letter')
+  .pattern(/\d/, 'digit')
+  .required()
+  .messages({
+    'string.min': 'Пароль должен содержать минимум 8 символов',
+    'string.maxBytes': `Пароль не должен превышать ${PASSWORD_MAX_BYTES} байта в кодировке UTF-8`,
+    'string.pattern.name': 'Пароль должен содержать хотя бы одну букву и одну цифру',
+    'any.required': 'Пароль обязателен'
+  });
+
 // Схемы валидации для пользователей
 const userSchemas = {
   register: Joi.object({
@@ -34,6 +54,17 @@ const userSchemas = {
         'string.max': 'Имя пользователя не должно превышать 30 символов',
         'any.required': 'Имя пользователя обязательно'
       }),
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Некорректный email адрес',
+        'any.required': 'Email обязателен'
+      }),
+    password: passwordRule
+  }),
+  
+  login: Joi.object({
     email: Joi.string()
       .email()
       .required()
@@ -42,26 +73,74 @@ const userSchemas = {
         'any.required': 'Email обязателен'
       }),
     password: Joi.string()
-      .min(6)
       .required()
       .messages({
-        'string.min': 'Пароль должен содержать минимум 6 символов',
         'any.required': 'Пароль обязателен'
       })
   }),
   
-  login: Joi.object({
+  refreshToken: Joi.object({
+    refreshToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Refresh-токен обязателен'
+      })
+  }),
+  
+  forgotPassword: Joi.object({
     email: Joi.string()
       .email()
       .required()
       .messages({
         'string.email': 'Некорректный email адрес',
         'any.required': 'Email обязателен'
+      })
+  }),
+  
+  resetPassword: Joi.object({
+    token: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Токен сброса пароля обязателен'
       }),
+    password: passwordRule
+  }),
+  
+  changePassword: Joi.object({
+    currentPassword: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Текущий пароль обязателен'
+      }),
+    newPassword: passwordRule
+      .invalid(Joi.ref('currentPassword'))
+      .messages({
+        'any.invalid': 'Новый пароль должен отличаться от текущего'
+      })
+  }),
+
+  deleteAccount: Joi.object({
     password: Joi.string()
       .required()
       .messages({
-        'any.required': 'Пароль обязателен'
+        'any.required': 'Пароль обязателен для подтверждения'
+      }),
+    mode: Joi.string()
+      .valid('delete', 'anonymize')
+      .required()
+      .messages({
+        'any.only': 'Режим удаления должен быть delete или anonymize',
+        'any.required': 'Режим удаления обязателен'
+      })
+  }),
+  
+  changeRole: Joi.object({
+    role: Joi.string()
+      .valid('user', 'moderator', 'admin')
+      .required()
+      .messages({
+        'any.only': 'Роль должна быть одной из: user, moderator, admin',
+        'any.required': 'Роль обязательна'
       })
   }),
   
@@ -85,6 +164,26 @@ const userSchemas = {
   })
 };
 
+// Правило для тегов статьи (создание и редактирование)
+const tagsRule = Joi.array()
+  .items(
+    Joi.string()
+      .trim()
+      .min(2)
+      .max(50)
+      .pattern(/^[\p{L}\p{N}][\p{L}\p{N} _-]*$/u)
+      .messages({
+        'string.min': 'Тег должен содержать минимум 2 символа',
+        'string.max': 'Тег не должен превышать 50 символов',
+        'string.pattern.base': 'Тег может содержать только буквы, цифры, пробелы, дефисы и подчеркивания'
+      })
+  )
+  .max(10)
+  .optional()
+  .messages({
+    'array.max': 'Не более 10 тегов на статью'
+  });
+
 // Схемы валидации для статей
 const articleSchemas = {
   create: Joi.object({
@@ -103,7 +202,20 @@ const articleSchemas = {
       .messages({
         'string.min': 'Содержание должно содержать минимум 10 символов',
         'any.required': 'Содержание обязательно'
-      })
+      }),
+    content_format: Joi.string()
+      .valid('plain', 'markdown')
+      .optional()
+      .messages({
+        'any.only': 'Формат содержания должен быть plain или markdown'
+      }),
+    status: Joi.string()
+      .valid('draft', 'published')
+      .optional()
+      .messages({
+        'any.only': 'Статус статьи должен быть draft или published'
+      }),
+    tags: tagsRule
   }),
   
   update: Joi.object({
@@ -120,7 +232,14 @@ const articleSchemas = {
       .optional()
       .messages({
         'string.min': 'Содержание должно содержать минимум 10 символов'
-      })
+      }),
+    content_format: Joi.string()
+      .valid('plain', 'markdown')
+      .optional()
+      .messages({
+        'any.only': 'Формат содержания должен быть plain или markdown'
+      }),
+    tags: tagsRule
   })
 };
 
@@ -167,10 +286,30 @@ const reactionSchemas = {
   })
 };
 
+const notificationPreference = Joi.boolean()
+  .messages({
+    'boolean.base': 'Значение настройки должно быть true или false'
+  });
+
+const notificationSchemas = {
+  preferences: Joi.object({
+    comment: notificationPreference,
+    reply: notificationPreference,
+    reaction: notificationPreference,
+    follow: notificationPreference
+  })
+    .min(1)
+    .messages({
+      'object.min': 'Укажите хотя бы один тип уведомлений',
+      'object.unknown': 'Неизвестный тип уведомлений'
+    })
+};
+
 module.exports = {
   validate,
   userSchemas,
   articleSchemas,
   commentSchemas,
-  reactionSchemas
+  reactionSchemas,
+  notificationSchemas
 }; 
\ No newline at end of file
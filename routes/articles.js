@@ -1,10 +1,23 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken, optionalAuth, checkAuthor } = require('../middleware/auth');
+const { MODERATOR_ROLES, authenticateToken, optionalAuth, requireVerifiedEmail, checkAuthor } = require('../middleware/auth');
 const { validate, articleSchemas } = require('../middleware/validation');
+const { ensureInitialRevision, saveRevision } = require('../utils/revisions');
+const { TAGS_SUBQUERY, normalizeTags, setArticleTags, getArticleTags } = require('../utils/tags');
+const { HEADLINE_START, HEADLINE_STOP, renderContent, renderHeadline } = require('../utils/markdown');
+const { syncArticleMedia, removeOrphanedMedia } = require('../utils/media');
+const { removeFiles } = require('../utils/storage');
+const { cursorColumn, decodeCursor, cursorCondition, paginateRows } = require('../utils/pagination');
+const { getReactionSummaries, attachReactionSummaries } = require('../utils/reactions');
 
 const router = express.Router();
 
+const ARTICLE_STATUSES = ['draft', 'published', 'archived'];
+
+// Параметры фрагментов с подсветкой совпадений в результатах поиска.
+// Совпадения отмечаются маркерами и заменяются на <mark> после экранирования (см. renderHeadline)
+const HEADLINE_OPTIONS = `StartSel="${HEADLINE_START}", StopSel="${HEADLINE_STOP}", MaxWords=35, MinWords=15, MaxFragments=2`;
+
 /**
  * @swagger
  * /api/articles:
@@ -20,6 +33,14 @@ const router = express.Router();
  *           default: 1
  *         description: Номер страницы
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Курсор следующей страницы (`pagination.nextCursor` из предыдущего ответа).
+ *           В этом режиме page игнорируется, общее количество не считается, а новые статьи
+ *           не приводят к пропускам и повторам. Недоступен вместе с search
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -31,12 +52,24 @@ const router = express.Router();
  *         name: search
  *         schema:
  *           type: string
- *         description: Поисковый запрос по заголовку и содержанию
+ *         description: Полнотекстовый поиск по заголовку и содержанию (русская и английская морфология). Результаты сортируются по релевантности, совпадение в заголовке весит больше
  *       - in: query
  *         name: author_id
  *         schema:
  *           type: integer
  *         description: ID автора для фильтрации
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published, archived]
+ *           default: published
+ *         description: Статус статей. Черновики и архивные статьи доступны только их автору
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Фильтр по тегу (только один тег)
  *     responses:
  *       200:
  *         description: Список статей получен успешно
@@ -51,6 +84,7 @@ const router = express.Router();
  *                     $ref: '#/components/schemas/Article'
  *                 pagination:
  *                   type: object
+ *                   description: В режиме cursor возвращаются только limit, hasNext и nextCursor
  *                   properties:
  *                     page:
  *                       type: integer
@@ -64,6 +98,10 @@ const router = express.Router();
  *                       type: boolean
  *                     hasPrev:
  *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Курсор следующей страницы (null при поиске и на последней странице)
  *                 filters:
  *                   type: object
  *                   properties:
@@ -71,6 +109,22 @@ const router = express.Router();
  *                       type: string
  *                     author_id:
  *                       type: integer
+ *                     status:
+ *                       type: string
+ *                     tag:
+ *                       type: string
+ *       400:
+ *         description: Неверный статус статьи, курсор или фильтр по тегу
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Черновики и архив доступны только авторизованному автору
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Внутренняя ошибка сервера
  *         content:
@@ -85,120 +139,179 @@ router.get('/', optionalAuth, async (req, res) => {
     const offset = (page - 1) * limit;
     const search = req.query.search || '';
     const authorId = req.query.author_id;
+    const status = req.query.status || 'published';
+    // Повторный параметр (?tag=a&tag=b) приходит массивом: фильтр принимает один тег
+    const tag = typeof req.query.tag === 'string' ? normalizeTags([req.query.tag])[0] : undefined;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
     
     // Валидация лимита
     const validLimit = Math.min(Math.max(limit, 1), 50); // от 1 до 50
     
-    let whereClause = '';
-    let queryParams = [];
-    let paramIndex = 1;
+    if (!ARTICLE_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Неверный статус статьи' });
+    }
+    
+    if (req.query.tag !== undefined && typeof req.query.tag !== 'string') {
+      return res.status(400).json({ message: 'Фильтр по тегу принимает только один тег' });
+    }
+    
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ message: 'Неверный курсор' });
+    }
+    
+    // Результаты поиска упорядочены по релевантности, курсор по дате к ним неприменим
+    if (cursor && search) {
+      return res.status(400).json({ message: 'Курсорная пагинация недоступна при поиске' });
+    }
+    
+    // Черновики и архив видит только автор
+    if (status !== 'published' && !req.user) {
+      return res.status(401).json({ message: 'Требуется авторизация' });
+    }
+    
+    const conditions = ['a.status = $1'];
+    let queryParams = [status];
+    let paramIndex = 2;
+    
+    if (status !== 'published') {
+      conditions.push(`a.author_id = $${paramIndex}`);
+      queryParams.push(req.user.id);
+      paramIndex++;
+    }
+    
+    // Добавляем условие полнотекстового поиска
+    let searchColumns = '';
+    let orderBy = 'a.created_at DESC, a.id DESC';
     
-    // Добавляем условие поиска
     if (search) {
-      whereClause = `WHERE (a.title ILIKE $${paramIndex} OR a.content ILIKE $${paramIndex})`;
-      queryParams.push(`%${search}%`);
+      const tsQuery = `(websearch_to_tsquery('russian', $${paramIndex}) || websearch_to_tsquery('english', $${paramIndex}))`;
+      conditions.push(`a.search_vector @@ ${tsQuery}`);
+      searchColumns = `,
+        ts_rank(a.search_vector, ${tsQuery}) as search_rank,
+        ts_headline('russian', a.content, ${tsQuery}, '${HEADLINE_OPTIONS}') as headline`;
+      orderBy = `search_rank DESC, ${orderBy}`;
+      queryParams.push(search);
       paramIndex++;
     }
     
     // Добавляем фильтр по автору
     if (authorId) {
-      if (whereClause) {
-        whereClause += ` AND a.author_id = $${paramIndex}`;
-      } else {
-        whereClause = `WHERE a.author_id = $${paramIndex}`;
-      }
+      conditions.push(`a.author_id = $${paramIndex}`);
       queryParams.push(authorId);
       paramIndex++;
     }
     
+    // Добавляем фильтр по тегу
+    if (tag) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM article_tags tg
+        JOIN tags t ON tg.tag_id = t.id
+        WHERE tg.article_id = a.id AND t.name = $${paramIndex}
+      )`);
+      queryParams.push(tag);
+      paramIndex++;
+    }
+    
+    // Общее количество считается только в постраничном режиме
+    const countWhereClause = `WHERE ${conditions.join(' AND ')}`;
+    
+    if (cursor) {
+      conditions.push(cursorCondition('a', 'DESC', paramIndex));
+      queryParams.push(cursor.createdAt, cursor.id);
+      paramIndex += 2;
+    }
+    
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    
+    // Отметка о закладке для авторизованного пользователя
+    const bookmarkColumn = req.user
+      ? `EXISTS (SELECT 1 FROM bookmarks b WHERE b.article_id = a.id AND b.user_id = $${paramIndex + 2}) as is_bookmarked`
+      : 'FALSE as is_bookmarked';
+    
     // Основной запрос для получения статей
     const articlesQuery = `
       SELECT 
         a.id,
         a.title,
         a.content,
+        a.content_format,
         a.author_id,
+        a.status,
+        a.published_at,
         a.created_at,
         a.updated_at,
         u.username as author_username,
         u.avatar_url as author_avatar,
-        COUNT(DISTINCT c.id) as comments_count,
-        COUNT(DISTINCT ar.id) as reactions_count
+        a.comments_count,
+        a.reactions_count,
+        ${bookmarkColumn},
+        ${cursorColumn('a')},
+        ${TAGS_SUBQUERY}${searchColumns}
       FROM articles a
       JOIN users u ON a.author_id = u.id
-      LEFT JOIN comments c ON a.id = c.article_id
-      LEFT JOIN article_reactions ar ON a.id = ar.article_id
       ${whereClause}
-      GROUP BY a.id, a.title, a.content, a.author_id, a.created_at, a.updated_at, u.username, u.avatar_url
-      ORDER BY a.created_at DESC
+      ORDER BY ${orderBy}
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `;
     
-    queryParams.push(validLimit, offset);
+    // Запрашиваем на одну статью больше, чтобы узнать, есть ли следующая страница
+    const articlesParams = [...queryParams, validLimit + 1, cursor ? 0 : offset];
+    
+    if (req.user) {
+      articlesParams.push(req.user.id);
+    }
     
     // Запрос для подсчета общего количества статей
     const countQuery = `
       SELECT COUNT(*) as total
       FROM articles a
-      ${whereClause}
+      ${countWhereClause}
     `;
     
     const [articlesResult, countResult] = await Promise.all([
-      db.query(articlesQuery, queryParams),
-      db.query(countQuery, queryParams.slice(0, -2)) // убираем limit и offset
+      db.query(articlesQuery, articlesParams),
+      cursor ? null : db.query(countQuery, queryParams)
     ]);
     
-    const totalCount = parseInt(countResult.rows[0].total);
-    const totalPages = Math.ceil(totalCount / validLimit);
-    
-    // Получаем реакции для каждой статьи если пользователь авторизован
-    const articlesWithReactions = await Promise.all(
-      articlesResult.rows.map(async (article) => {
-        // Получаем все реакции для статьи
-        const reactionsQuery = `
-          SELECT 
-            r.id,
-            r.emoji,
-            r.name,
-            COUNT(ar.id) as count,
-            ${req.user ? 'MAX(CASE WHEN ar.user_id = $1 THEN 1 ELSE 0 END) as user_reacted' : '0 as user_reacted'}
-          FROM reactions r
-          LEFT JOIN article_reactions ar ON r.id = ar.reaction_id AND ar.article_id = $${req.user ? 2 : 1}
-          GROUP BY r.id, r.emoji, r.name
-          ORDER BY r.id
-        `;
-        
-        const reactionsParams = req.user ? [req.user.id, article.id] : [article.id];
-        const reactionsResult = await db.query(reactionsQuery, reactionsParams);
-        
-        return {
-          ...article,
-          comments_count: parseInt(article.comments_count),
-          reactions_count: parseInt(article.reactions_count),
-          reactions: reactionsResult.rows.map(r => ({
-            id: r.id,
-            emoji: r.emoji,
-            name: r.name,
-            count: parseInt(r.count),
-            user_reacted: Boolean(parseInt(r.user_reacted))
-          }))
-        };
-      })
-    );
+    const { items: rows, hasNext, nextCursor } = paginateRows(articlesResult.rows, validLimit);
+    const articles = search
+      ? rows.map(article => ({ ...article, headline: renderHeadline(article.headline) }))
+      : rows;
     
-    res.json({
-      articles: articlesWithReactions,
-      pagination: {
+    // Реакции всех статей страницы загружаются одним запросом
+    const articlesWithReactions = await attachReactionSummaries('article', articles, req.user?.id);
+    
+    let pagination;
+    
+    if (cursor) {
+      pagination = {
+        limit: validLimit,
+        hasNext,
+        nextCursor
+      };
+    } else {
+      const totalCount = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(totalCount / validLimit);
+      
+      pagination = {
         page,
         limit: validLimit,
         total: totalCount,
         totalPages,
         hasNext: page < totalPages,
-        hasPrev: page > 1
-      },
+        hasPrev: page > 1,
+        nextCursor: search ? null : nextCursor
+      };
+    }
+    
+    res.json({
+      articles: articlesWithReactions,
+      pagination,
       filters: {
         search,
-        author_id: authorId
+        author_id: authorId,
+        status,
+        tag
       }
     });
     
@@ -253,22 +366,26 @@ router.get('/:id', optionalAuth, async (req, res) => {
         a.id,
         a.title,
         a.content,
+        a.content_format,
         a.author_id,
+        a.status,
+        a.published_at,
         a.created_at,
         a.updated_at,
         u.username as author_username,
         u.avatar_url as author_avatar,
-        COUNT(DISTINCT c.id) as comments_count,
-        COUNT(DISTINCT ar.id) as reactions_count
+        a.comments_count,
+        a.reactions_count,
+        EXISTS (
+          SELECT 1 FROM bookmarks b WHERE b.article_id = a.id AND b.user_id = $2
+        ) as is_bookmarked,
+        ${TAGS_SUBQUERY}
       FROM articles a
       JOIN users u ON a.author_id = u.id
-      LEFT JOIN comments c ON a.id = c.article_id
-      LEFT JOIN article_reactions ar ON a.id = ar.article_id
       WHERE a.id = $1
-      GROUP BY a.id, a.title, a.content, a.author_id, a.created_at, a.updated_at, u.username, u.avatar_url
     `;
     
-    const articleResult = await db.query(articleQuery, [articleId]);
+    const articleResult = await db.query(articleQuery, [articleId, req.user ? req.user.id : null]);
     
     if (articleResult.rows.length === 0) {
       return res.status(404).json({ message: 'Статья не найдена' });
@@ -276,35 +393,23 @@ router.get('/:id', optionalAuth, async (req, res) => {
     
     const article = articleResult.rows[0];
     
+    // Неопубликованные статьи видны только автору
+    if (article.status !== 'published' && (!req.user || req.user.id !== article.author_id)) {
+      return res.status(404).json({ message: 'Статья не найдена' });
+    }
+    
     // Получаем реакции для статьи
-    const reactionsQuery = `
-      SELECT 
-        r.id,
-        r.emoji,
-        r.name,
-        COUNT(ar.id) as count,
-        ${req.user ? 'MAX(CASE WHEN ar.user_id = $1 THEN 1 ELSE 0 END) as user_reacted' : '0 as user_reacted'}
-      FROM reactions r
-      LEFT JOIN article_reactions ar ON r.id = ar.reaction_id AND ar.article_id = $${req.user ? 2 : 1}
-      GROUP BY r.id, r.emoji, r.name
-      ORDER BY r.id
-    `;
+    const reactions = await getReactionSummaries('article', [article.id], req.user?.id);
     
-    const reactionsParams = req.user ? [req.user.id, articleId] : [articleId];
-    const reactionsResult = await db.query(reactionsQuery, reactionsParams);
+    // Исходный текст отдается как есть, для отображения — очищенный HTML и оглавление
+    const rendered = renderContent(article.content, article.content_format);
     
     res.json({
       article: {
         ...article,
-        comments_count: parseInt(article.comments_count),
-        reactions_count: parseInt(article.reactions_count),
-        reactions: reactionsResult.rows.map(r => ({
-          id: r.id,
-          emoji: r.emoji,
-          name: r.name,
-          count: parseInt(r.count),
-          user_reacted: Boolean(parseInt(r.user_reacted))
-        }))
+        content_html: rendered.html,
+        toc: rendered.toc,
+        reactions: reactions.get(article.id)
       }
     });
     
@@ -319,6 +424,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
  * /api/articles:
  *   post:
  *     summary: Создание новой статьи
+ *     description: При REQUIRE_EMAIL_VERIFICATION=true создавать статьи могут только пользователи с подтвержденным email.
  *     tags: [Articles]
  *     security:
  *       - authorization: []
@@ -353,6 +459,12 @@ router.get('/:id', optionalAuth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email не подтвержден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Внутренняя ошибка сервера
  *         content:
@@ -360,19 +472,31 @@ router.get('/:id', optionalAuth, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', authenticateToken, validate(articleSchemas.create), async (req, res) => {
+router.post('/', authenticateToken, requireVerifiedEmail, validate(articleSchemas.create), async (req, res) => {
   try {
-    const { title, content } = req.body;
+    const { title, content, content_format = 'plain', status = 'draft', tags = [] } = req.body;
     const authorId = req.user.id;
     
     const createQuery = `
-      INSERT INTO articles (title, content, author_id)
-      VALUES ($1, $2, $3)
-      RETURNING id, title, content, author_id, created_at, updated_at
+      INSERT INTO articles (title, content, content_format, author_id, status, published_at)
+      VALUES ($1, $2, $3, $4, $5, CASE WHEN $6 THEN CURRENT_TIMESTAMP END)
+      RETURNING id, title, content, content_format, author_id, status, published_at, created_at, updated_at
     `;
     
-    const result = await db.query(createQuery, [title, content, authorId]);
-    const article = result.rows[0];
+    // Статья, ее теги и первая ревизия создаются в одной транзакции
+    const article = await db.transaction(async (client) => {
+      const result = await client.query(createQuery, [title, content, content_format, authorId, status, status === 'published']);
+      const articleTags = await setArticleTags(client, result.rows[0].id, tags);
+      await saveRevision(client, {
+        articleId: result.rows[0].id,
+        title,
+        content,
+        contentFormat: content_format,
+        authorId
+      });
+      await syncArticleMedia(client, result.rows[0].id, content, authorId);
+      return { ...result.rows[0], tags: articleTags };
+    });
     
     // Получаем данные автора
     const authorQuery = 'SELECT username, avatar_url FROM users WHERE id = $1';
@@ -425,6 +549,11 @@ router.post('/', authenticateToken, validate(articleSchemas.create), async (req,
  *               content:
  *                 type: string
  *                 description: Содержание статьи
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Новый список тегов (полностью заменяет текущий)
  *     responses:
  *       201:
  *         description: Статья успешно создана
@@ -460,7 +589,7 @@ router.post('/', authenticateToken, validate(articleSchemas.create), async (req,
 router.put('/:id', authenticateToken, checkAuthor('article'), validate(articleSchemas.update), async (req, res) => {
   try {
     const articleId = req.params.id;
-    const { title, content } = req.body;
+    const { title, content, content_format, tags } = req.body;
     
     // Строим динамический запрос для обновления
     const updateFields = [];
@@ -479,30 +608,64 @@ router.put('/:id', authenticateToken, checkAuthor('article'), validate(articleSc
       paramIndex++;
     }
     
-    if (updateFields.length === 0) {
+    if (content_format !== undefined) {
+      updateFields.push(`content_format = $${paramIndex}`);
+      updateValues.push(content_format);
+      paramIndex++;
+    }
+    
+    const contentChanged = updateFields.length > 0;
+    
+    if (updateFields.length === 0 && tags === undefined) {
       return res.status(400).json({ message: 'Нет данных для обновления' });
     }
     
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
     updateValues.push(articleId);
     
     const updateQuery = `
       UPDATE articles 
-      SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      SET ${updateFields.join(', ')}
       WHERE id = $${paramIndex}
-      RETURNING id, title, content, author_id, created_at, updated_at
+      RETURNING id, title, content, content_format, author_id, status, published_at, created_at, updated_at
     `;
     
-    const result = await db.query(updateQuery, updateValues);
+    // Каждое изменение заголовка, содержания или формата сохраняется как новая ревизия
+    const article = await db.transaction(async (client) => {
+      if (contentChanged) {
+        await ensureInitialRevision(client, articleId);
+      }
+      
+      const result = await client.query(updateQuery, updateValues);
+      const updated = result.rows[0];
+      
+      if (contentChanged) {
+        await saveRevision(client, {
+          articleId: updated.id,
+          title: updated.title,
+          content: updated.content,
+          contentFormat: updated.content_format,
+          authorId: req.user.id
+        });
+        await syncArticleMedia(client, updated.id, updated.content, updated.author_id);
+      }
+      
+      const articleTags = tags !== undefined
+        ? await setArticleTags(client, articleId, tags)
+        : await getArticleTags(client, articleId);
+      
+      return { ...updated, tags: articleTags };
+    });
     
     // Получаем данные автора
     const authorQuery = 'SELECT username, avatar_url FROM users WHERE id = $1';
-    const authorResult = await db.query(authorQuery, [req.user.id]);
+    const authorResult = await db.query(authorQuery, [article.author_id]);
     const author = authorResult.rows[0];
     
     res.json({
       message: 'Статья успешно обновлена',
       article: {
-        ...result.rows[0],
+        ...article,
         author_username: author.username,
         author_avatar: author.avatar_url
       }
@@ -514,11 +677,398 @@ router.put('/:id', authenticateToken, checkAuthor('article'), validate(articleSc
   }
 });
 
+// Обработчик смены статуса статьи. При архивации запоминается, кто ее выполнил.
+// Статью, которую архивировал модератор, восстанавливает только модератор;
+// чужие статьи модератор может вернуть только из такого архива.
+const changeStatus = (status, messages) => {
+  return async (req, res) => {
+    try {
+      const articleId = req.params.id;
+      
+      if (status !== 'archived') {
+        const articleResult = await db.query('SELECT author_id, status, archived_by FROM articles WHERE id = $1', [articleId]);
+        const article = articleResult.rows[0];
+        
+        if (!article) {
+          return res.status(404).json({ message: 'Статья не найдена' });
+        }
+        
+        const archivedByModerator = article.status === 'archived' &&
+          article.archived_by !== null && article.archived_by !== article.author_id;
+        const isModerator = MODERATOR_ROLES.includes(req.user.role);
+        
+        if (archivedByModerator && !isModerator) {
+          return res.status(403).json({ message: 'Статья перенесена в архив модератором, восстановить ее может только модератор' });
+        }
+        
+        if (!archivedByModerator && article.author_id !== req.user.id) {
+          return res.status(403).json({ message: 'Нет прав доступа' });
+        }
+      }
+      
+      const updateQuery = `
+        UPDATE articles 
+        SET status = $1::VARCHAR,
+            published_at = CASE WHEN $1::VARCHAR = 'published' THEN COALESCE(published_at, CURRENT_TIMESTAMP) ELSE published_at END,
+            archived_by = CASE WHEN $1::VARCHAR = 'archived' THEN $3::INTEGER END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND status != $1::VARCHAR
+        RETURNING id, title, content, content_format, author_id, status, published_at, created_at, updated_at
+      `;
+      
+      const result = await db.query(updateQuery, [status, articleId, req.user.id]);
+      
+      if (result.rows.length === 0) {
+        return res.status(400).json({ message: messages.unchanged });
+      }
+      
+      res.json({
+        message: messages.success,
+        article: {
+          ...result.rows[0],
+          tags: await getArticleTags(db, articleId)
+        }
+      });
+      
+    } catch (error) {
+      console.error('Ошибка изменения статуса статьи:', error);
+      res.status(500).json({ message: 'Ошибка сервера' });
+    }
+  };
+};
+
+/**
+ * @swagger
+ * /api/articles/{id}/publish:
+ *   post:
+ *     summary: Публикация статьи
+ *     description: |
+ *       Переводит черновик или архивную статью в статус published. Дата первой публикации сохраняется.
+ *       Статью, перенесенную в архив модератором, может восстановить только модератор или администратор;
+ *       другие чужие статьи им публиковать нельзя.
+ *     tags: [Articles]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID статьи
+ *     responses:
+ *       200:
+ *         description: Статья опубликована
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Статья опубликована"
+ *                 article:
+ *                   $ref: '#/components/schemas/Article'
+ *       400:
+ *         description: Статья уже опубликована
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Нет прав доступа или статья перенесена в архив модератором
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Статья не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/publish', authenticateToken, checkAuthor('article', { allowRoles: MODERATOR_ROLES }), changeStatus('published', {
+  success: 'Статья опубликована',
+  unchanged: 'Статья уже опубликована'
+}));
+
+/**
+ * @swagger
+ * /api/articles/{id}/unpublish:
+ *   post:
+ *     summary: Снятие статьи с публикации
+ *     description: |
+ *       Возвращает статью в черновики, после чего она видна только автору.
+ *       Статью, перенесенную в архив модератором, может вернуть в черновики только модератор или администратор.
+ *     tags: [Articles]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID статьи
+ *     responses:
+ *       200:
+ *         description: Статья перенесена в черновики
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Статья перенесена в черновики"
+ *                 article:
+ *                   $ref: '#/components/schemas/Article'
+ *       400:
+ *         description: Статья уже является черновиком
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Нет прав доступа или статья перенесена в архив модератором
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Статья не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/unpublish', authenticateToken, checkAuthor('article', { allowRoles: MODERATOR_ROLES }), changeStatus('draft', {
+  success: 'Статья перенесена в черновики',
+  unchanged: 'Статья уже является черновиком'
+}));
+
+/**
+ * @swagger
+ * /api/articles/{id}/archive:
+ *   post:
+ *     summary: Перенос статьи в архив
+ *     description: |
+ *       Архивная статья скрыта из ленты и видна только автору. Доступно автору, модераторам и администраторам.
+ *       Статью, которую архивировал модератор, автор не может опубликовать снова или вернуть в черновики.
+ *     tags: [Articles]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID статьи
+ *     responses:
+ *       200:
+ *         description: Статья перенесена в архив
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Статья перенесена в архив"
+ *                 article:
+ *                   $ref: '#/components/schemas/Article'
+ *       400:
+ *         description: Статья уже в архиве
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Нет прав доступа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Статья не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/archive', authenticateToken, checkAuthor('article', { allowRoles: MODERATOR_ROLES }), changeStatus('archived', {
+  success: 'Статья перенесена в архив',
+  unchanged: 'Статья уже в архиве'
+}));
+
+/**
+ * @swagger
+ * /api/articles/{id}/bookmark:
+ *   post:
+ *     summary: Добавление статьи в закладки
+ *     tags: [Articles]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID статьи
+ *     responses:
+ *       201:
+ *         description: Статья добавлена в закладки
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Статья добавлена в закладки"
+ *       400:
+ *         description: Статья уже в закладках
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Статья не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Удаление статьи из закладок
+ *     tags: [Articles]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID статьи
+ *     responses:
+ *       200:
+ *         description: Статья удалена из закладок
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Статья удалена из закладок"
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Закладка не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/bookmark', authenticateToken, async (req, res) => {
+  try {
+    const articleId = req.params.id;
+
+    // В закладки можно добавить только опубликованную статью
+    const articleResult = await db.query(
+      "SELECT id FROM articles WHERE id = $1 AND status = 'published'",
+      [articleId]
+    );
+
+    if (articleResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Статья не найдена' });
+    }
+
+    const insertResult = await db.query(
+      'INSERT INTO bookmarks (user_id, article_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.user.id, articleId]
+    );
+
+    if (insertResult.rowCount === 0) {
+      return res.status(400).json({ message: 'Статья уже в закладках' });
+    }
+
+    res.status(201).json({ message: 'Статья добавлена в закладки' });
+
+  } catch (error) {
+    console.error('Ошибка добавления закладки:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+router.delete('/:id/bookmark', authenticateToken, async (req, res) => {
+  try {
+    const deleteResult = await db.query(
+      'DELETE FROM bookmarks WHERE user_id = $1 AND article_id = $2',
+      [req.user.id, req.params.id]
+    );
+
+    if (deleteResult.rowCount === 0) {
+      return res.status(404).json({ message: 'Закладка не найдена' });
+    }
+
+    res.json({ message: 'Статья удалена из закладок' });
+
+  } catch (error) {
+    console.error('Ошибка удаления закладки:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
 /**
  * @swagger
  * /api/articles/{id}:
  *   delete:
  *     summary: Удаление статьи по ID
+ *     description: Доступно автору статьи, модераторам и администраторам.
  *     tags: [Articles]
  *     security:
  *       - authorization: []
@@ -574,17 +1124,27 @@ router.put('/:id', authenticateToken, checkAuthor('article'), validate(articleSc
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', authenticateToken, checkAuthor('article'), async (req, res) => {
+router.delete('/:id', authenticateToken, checkAuthor('article', { allowRoles: MODERATOR_ROLES }), async (req, res) => {
   try {
     const articleId = req.params.id;
     
-    const deleteQuery = 'DELETE FROM articles WHERE id = $1 RETURNING title';
-    const result = await db.query(deleteQuery, [articleId]);
+    // Изображения, которые использовались только в этой статье, удаляются вместе с ней
+    const { title, orphanedFiles } = await db.transaction(async (client) => {
+      const mediaResult = await client.query('SELECT media_id FROM article_media WHERE article_id = $1', [articleId]);
+      const result = await client.query('DELETE FROM articles WHERE id = $1 RETURNING title', [articleId]);
+      
+      return {
+        title: result.rows[0].title,
+        orphanedFiles: await removeOrphanedMedia(client, mediaResult.rows.map(row => row.media_id))
+      };
+    });
+    
+    removeFiles(orphanedFiles);
     
     res.json({
       message: 'Статья успешно удалена',
       deletedArticle: {
-        title: result.rows[0].title
+        title
       }
     });
     
@@ -1,12 +1,19 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const db = require('../config/database');
 const { hashPassword, comparePassword } = require('../utils/password');
 const { validate, userSchemas } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
+const { createSession, rotateRefreshToken, revokeSessionByToken, revokeAllSessions, consumeUserToken } = require('../utils/tokens');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/emails');
 
 const router = express.Router();
 
+// Данные клиента, сохраняемые вместе с сессией
+const sessionMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
 /**
  * @swagger
  * /api/auth/register:
@@ -21,7 +28,7 @@ const router = express.Router();
  *             $ref: '#/components/schemas/RegisterRequest'
  *     responses:
  *       201:
- *         description: Пользователь успешно зарегистрирован
+ *         description: Пользователь успешно зарегистрирован, на email отправлено письмо для подтверждения
  *         content:
  *           application/json:
  *             schema:
@@ -34,7 +41,14 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
- *                   description: JWT токен для авторизации
+ *                   description: Короткоживущий JWT access-токен
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh-токен для получения новой пары токенов
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Время жизни access-токена
+ *                   example: "15m"
  *       400:
  *         description: Пользователь с таким email или именем уже существует
  *         content:
@@ -69,16 +83,15 @@ router.post('/register', validate(userSchemas.register), async (req, res) => {
     const createUserQuery = `
       INSERT INTO users (username, email, password_hash) 
       VALUES ($1, $2, $3) 
-      RETURNING id, username, email, created_at
+      RETURNING id, username, email, email_verified, created_at
     `;
     const newUser = await db.query(createUserQuery, [username, email, hashedPassword]);
 
-    // Генерируем JWT токен
-    const token = jwt.sign(
-      { userId: newUser.rows[0].id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Создаем сессию и выдаем пару токенов
+    const tokens = await createSession(newUser.rows[0].id, sessionMeta(req));
+
+    // Отправляем письмо для подтверждения email
+    await sendVerificationEmail(newUser.rows[0]);
 
     res.status(201).json({
       message: 'Пользователь успешно зарегистрирован',
@@ -86,9 +99,10 @@ router.post('/register', validate(userSchemas.register), async (req, res) => {
         id: newUser.rows[0].id,
         username: newUser.rows[0].username,
         email: newUser.rows[0].email,
+        email_verified: newUser.rows[0].email_verified,
         created_at: newUser.rows[0].created_at
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -124,7 +138,14 @@ router.post('/register', validate(userSchemas.register), async (req, res) => {
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
- *                   description: JWT токен для авторизации
+ *                   description: Короткоживущий JWT access-токен
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh-токен для получения новой пары токенов
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Время жизни access-токена
+ *                   example: "15m"
  *       401:
  *         description: Неверный email или пароль
  *         content:
@@ -143,7 +164,7 @@ router.post('/login', validate(userSchemas.login), async (req, res) => {
     const { email, password } = req.body;
 
     // Ищем пользователя по email
-    const userQuery = 'SELECT id, username, email, password_hash, avatar_url FROM users WHERE email = $1';
+    const userQuery = 'SELECT id, username, email, password_hash, avatar_url, role, email_verified FROM users WHERE email = $1 AND deleted_at IS NULL';
     const userResult = await db.query(userQuery, [email]);
 
     if (userResult.rows.length === 0) {
@@ -159,12 +180,8 @@ router.post('/login', validate(userSchemas.login), async (req, res) => {
       return res.status(401).json({ message: 'Неверный email или пароль' });
     }
 
-    // Генерируем JWT токен
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Создаем сессию и выдаем пару токенов
+    const tokens = await createSession(user.id, sessionMeta(req));
 
     res.json({
       message: 'Вход выполнен успешно',
@@ -172,9 +189,11 @@ router.post('/login', validate(userSchemas.login), async (req, res) => {
         id: user.id,
         username: user.username,
         email: user.email,
-        avatar_url: user.avatar_url
+        avatar_url: user.avatar_url,
+        role: user.role,
+        email_verified: user.email_verified
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -219,4 +238,445 @@ router.post('/verify-token', authenticateToken, (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Обновление пары токенов
+ *     description: Refresh-токен одноразовый — после использования выдается новый. Повторное использование старого токена завершает всю сессию.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Токены обновлены
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                   description: Новый access-токен
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Новый refresh-токен
+ *                 expiresIn:
+ *                   type: string
+ *                   example: "15m"
+ *       400:
+ *         description: Ошибка валидации данных
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Refresh-токен недействителен, истек или отозван
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', validate(userSchemas.refreshToken), async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, sessionMeta(req));
+
+    if (!tokens) {
+      return res.status(401).json({ message: 'Недействительный refresh-токен' });
+    }
+
+    res.json(tokens);
+
+  } catch (error) {
+    console.error('Ошибка обновления токена:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Выход из текущей сессии
+ *     description: Отзывает refresh-токен и все access-токены этой сессии.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Выход выполнен успешно
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Выход выполнен успешно"
+ *       400:
+ *         description: Ошибка валидации данных
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout', validate(userSchemas.refreshToken), async (req, res) => {
+  try {
+    // Ответ не зависит от того, была ли сессия активна
+    await revokeSessionByToken(req.body.refreshToken);
+
+    res.json({ message: 'Выход выполнен успешно' });
+
+  } catch (error) {
+    console.error('Ошибка выхода:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Выход на всех устройствах
+ *     description: Завершает все сессии пользователя, включая текущую.
+ *     tags: [Authentication]
+ *     security:
+ *       - authorization: []
+ *     responses:
+ *       200:
+ *         description: Все сессии завершены
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Все сессии завершены"
+ *                 revokedSessions:
+ *                   type: integer
+ *                   description: Количество завершенных сессий
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user.id);
+
+    res.json({
+      message: 'Все сессии завершены',
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Ошибка завершения сессий:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Запрос на сброс пароля
+ *     description: Отправляет на email одноразовую ссылку для сброса пароля. Ответ одинаков независимо от того, зарегистрирован ли email.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Email пользователя
+ *     responses:
+ *       200:
+ *         description: Запрос принят
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Если email зарегистрирован, на него отправлена ссылка для сброса пароля"
+ *       400:
+ *         description: Ошибка валидации данных
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/forgot-password', validate(userSchemas.forgotPassword), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const userResult = await db.query('SELECT id, username, email FROM users WHERE email = $1', [email]);
+
+    if (userResult.rows.length > 0) {
+      await sendPasswordResetEmail(userResult.rows[0]);
+    }
+
+    res.json({
+      message: 'Если email зарегистрирован, на него отправлена ссылка для сброса пароля'
+    });
+
+  } catch (error) {
+    console.error('Ошибка запроса сброса пароля:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Установка нового пароля по токену сброса
+ *     description: Токен одноразовый. После смены пароля все сессии пользователя завершаются.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Токен из ссылки в письме
+ *               password:
+ *                 type: string
+ *                 description: Новый пароль
+ *     responses:
+ *       200:
+ *         description: Пароль успешно изменен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Пароль успешно изменен"
+ *       400:
+ *         description: Ошибка валидации данных или недействительный токен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', validate(userSchemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const hashedPassword = await hashPassword(password);
+
+    const userId = await db.transaction(async (client) => {
+      const tokenUserId = await consumeUserToken(client, token, 'password_reset');
+
+      if (!tokenUserId) {
+        return null;
+      }
+
+      await client.query(
+        'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [hashedPassword, tokenUserId]
+      );
+
+      return tokenUserId;
+    });
+
+    if (!userId) {
+      return res.status(400).json({ message: 'Ссылка для сброса пароля недействительна или устарела' });
+    }
+
+    await revokeAllSessions(userId);
+
+    res.json({ message: 'Пароль успешно изменен' });
+
+  } catch (error) {
+    console.error('Ошибка сброса пароля:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   get:
+ *     summary: Подтверждение email по токену из письма
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Токен из ссылки в письме
+ *     responses:
+ *       200:
+ *         description: Email подтвержден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Email успешно подтвержден"
+ *       400:
+ *         description: Токен не указан, недействителен или устарел
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Токен подтверждения обязателен' });
+    }
+
+    // Повторный параметр (?token=a&token=b) приходит массивом
+    if (typeof token !== 'string') {
+      return res.status(400).json({ message: 'Ссылка для подтверждения email недействительна или устарела' });
+    }
+
+    const userId = await db.transaction(async (client) => {
+      const tokenUserId = await consumeUserToken(client, token, 'email_verification');
+
+      if (tokenUserId) {
+        await client.query(
+          'UPDATE users SET email_verified = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [tokenUserId]
+        );
+      }
+
+      return tokenUserId;
+    });
+
+    if (!userId) {
+      return res.status(400).json({ message: 'Ссылка для подтверждения email недействительна или устарела' });
+    }
+
+    res.json({ message: 'Email успешно подтвержден' });
+
+  } catch (error) {
+    console.error('Ошибка подтверждения email:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Повторная отправка письма для подтверждения email
+ *     description: Предыдущие ссылки подтверждения перестают действовать.
+ *     tags: [Authentication]
+ *     security:
+ *       - authorization: []
+ *     responses:
+ *       200:
+ *         description: Письмо отправлено
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Письмо для подтверждения email отправлено"
+ *       400:
+ *         description: Email уже подтвержден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.email_verified) {
+      return res.status(400).json({ message: 'Email уже подтвержден' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Письмо для подтверждения email отправлено' });
+
+  } catch (error) {
+    console.error('Ошибка повторной отправки письма подтверждения:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
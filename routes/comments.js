@@ -1,15 +1,89 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken, optionalAuth, checkAuthor } = require('../middleware/auth');
+const { MODERATOR_ROLES, authenticateToken, optionalAuth, checkAuthor } = require('../middleware/auth');
 const { validate, commentSchemas } = require('../middleware/validation');
+const { notify } = require('../utils/notifications');
+const { publish } = require('../utils/events');
+const { cursorColumn, decodeCursor, cursorCondition, paginateRows } = require('../utils/pagination');
+const { attachReactionSummaries } = require('../utils/reactions');
+const { MAX_COMMENT_DEPTH } = require('../utils/comments');
 
 const router = express.Router();
 
+// Поля комментария для выборок
+const COMMENT_FIELDS = `
+        c.id,
+        c.content,
+        c.article_id,
+        c.author_id,
+        c.parent_id,
+        c.depth,
+        c.created_at,
+        c.updated_at,
+        u.username as author_username,
+        u.avatar_url as author_avatar,
+        c.reactions_count,
+        c.replies_count`;
+
+// Глубина дерева ответов из query-параметра
+const parseDepth = (value) => {
+  const depth = parseInt(value);
+  return isNaN(depth) ? MAX_COMMENT_DEPTH : Math.min(Math.max(depth, 0), MAX_COMMENT_DEPTH);
+};
+
+// Получение всех ответов на указанные комментарии не глубже depth уровней
+const getReplies = async (parentIds, depth) => {
+  if (parentIds.length === 0 || depth === 0) {
+    return [];
+  }
+  
+  const repliesQuery = `
+    WITH RECURSIVE thread AS (
+      SELECT c.id, 1 as level
+      FROM comments c
+      WHERE c.parent_id = ANY($1::int[])
+      UNION ALL
+      SELECT c.id, t.level + 1
+      FROM comments c
+      JOIN thread t ON c.parent_id = t.id
+      WHERE t.level < $2
+    )
+    SELECT ${COMMENT_FIELDS}
+    FROM comments c
+    JOIN users u ON c.author_id = u.id
+    WHERE c.id IN (SELECT id FROM thread)
+    ORDER BY c.created_at ASC
+  `;
+  
+  const result = await db.query(repliesQuery, [parentIds, depth]);
+  return result.rows;
+};
+
+// Добавление реакций ко всем комментариям одним запросом
+const attachReactions = async (comments, user) => {
+  return attachReactionSummaries('comment', comments, user ? user.id : null);
+};
+
+// Сборка дерева: ответы вкладываются в родителя в поле replies
+const buildTree = (comments, rootIds) => {
+  const byId = new Map(comments.map(c => [c.id, { ...c, replies: [] }]));
+  
+  byId.forEach(comment => {
+    const parent = byId.get(comment.parent_id);
+    if (parent && !rootIds.includes(comment.id)) {
+      parent.replies.push(comment);
+    }
+  });
+  
+  return rootIds.map(id => byId.get(id)).filter(Boolean);
+};
+
 /**
  * @swagger
  * /api/comments/article/{articleId}:
  *   get:
- *     summary: Получение комментариев к статье
+ *     summary: Получение комментариев к статье в виде дерева
+ *     description: Пагинация выполняется по корневым комментариям. Ответы вложены в поле replies не глубже параметра depth; replies_count показывает полное число прямых ответов.
  *     tags: [Comments]
  *     parameters:
  *       - in: path
@@ -26,13 +100,29 @@ const router = express.Router();
  *           default: 1
  *         description: Номер страницы
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Курсор следующей страницы (`pagination.nextCursor` из предыдущего ответа).
+ *           В этом режиме page игнорируется, общее количество не считается, а новые комментарии
+ *           не приводят к пропускам и повторам
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           minimum: 1
  *           maximum: 100
  *           default: 20
- *         description: Количество комментариев на странице
+ *         description: Количество корневых комментариев на странице
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 5
+ *           default: 5
+ *         description: Сколько уровней ответов включить в дерево
  *     responses:
  *       200:
  *         description: Список комментариев получен успешно
@@ -47,6 +137,7 @@ const router = express.Router();
  *                     $ref: '#/components/schemas/Comment'
  *                 pagination:
  *                   type: object
+ *                   description: В режиме cursor возвращаются только limit, hasNext и nextCursor
  *                   properties:
  *                     page:
  *                       type: integer
@@ -60,6 +151,16 @@ const router = express.Router();
  *                       type: boolean
  *                     hasPrev:
  *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Курсор следующей страницы (null на последней странице)
+ *       400:
+ *         description: Неверный курсор
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Статья не найдена
  *         content:
@@ -79,91 +180,80 @@ router.get('/article/:articleId', optionalAuth, async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
+    const depth = parseDepth(req.query.depth);
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
     
     // Валидация лимита
     const validLimit = Math.min(Math.max(limit, 1), 100);
     
-    // Проверяем, существует ли статья
-    const articleExists = await db.query('SELECT id FROM articles WHERE id = $1', [articleId]);
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ message: 'Неверный курсор' });
+    }
+    
+    // Комментарии неопубликованных статей видны только автору статьи
+    const articleExists = await db.query(
+      "SELECT id FROM articles WHERE id = $1 AND (status = 'published' OR author_id = $2)",
+      [articleId, req.user ? req.user.id : null]
+    );
     if (articleExists.rows.length === 0) {
       return res.status(404).json({ message: 'Статья не найдена' });
     }
     
-    // Получаем комментарии
+    // Пагинация идет по корневым комментариям, ответы подгружаются целыми ветками.
+    // Запрашиваем на один комментарий больше, чтобы узнать, есть ли следующая страница
     const commentsQuery = `
-      SELECT 
-        c.id,
-        c.content,
-        c.article_id,
-        c.author_id,
-        c.created_at,
-        c.updated_at,
-        u.username as author_username,
-        u.avatar_url as author_avatar,
-        COUNT(DISTINCT cr.id) as reactions_count
+      SELECT ${COMMENT_FIELDS},
+        ${cursorColumn('c')}
       FROM comments c
       JOIN users u ON c.author_id = u.id
-      LEFT JOIN comment_reactions cr ON c.id = cr.comment_id
-      WHERE c.article_id = $1
-      GROUP BY c.id, c.content, c.article_id, c.author_id, c.created_at, c.updated_at, u.username, u.avatar_url
-      ORDER BY c.created_at ASC
+      WHERE c.article_id = $1 AND c.parent_id IS NULL
+        ${cursor ? `AND ${cursorCondition('c', 'ASC', 4)}` : ''}
+      ORDER BY c.created_at ASC, c.id ASC
       LIMIT $2 OFFSET $3
     `;
     
-    // Подсчет общего количества комментариев
-    const countQuery = 'SELECT COUNT(*) as total FROM comments WHERE article_id = $1';
+    const commentsParams = cursor
+      ? [articleId, validLimit + 1, 0, cursor.createdAt, cursor.id]
+      : [articleId, validLimit + 1, offset];
+    
+    // Подсчет общего количества корневых комментариев
+    const countQuery = 'SELECT COUNT(*) as total FROM comments WHERE article_id = $1 AND parent_id IS NULL';
     
     const [commentsResult, countResult] = await Promise.all([
-      db.query(commentsQuery, [articleId, validLimit, offset]),
-      db.query(countQuery, [articleId])
+      db.query(commentsQuery, commentsParams),
+      cursor ? null : db.query(countQuery, [articleId])
     ]);
     
-    const totalCount = parseInt(countResult.rows[0].total);
-    const totalPages = Math.ceil(totalCount / validLimit);
-    
-    // Получаем реакции для каждого комментария если пользователь авторизован
-    const commentsWithReactions = await Promise.all(
-      commentsResult.rows.map(async (comment) => {
-        const reactionsQuery = `
-          SELECT 
-            r.id,
-            r.emoji,
-            r.name,
-            COUNT(cr.id) as count,
-            ${req.user ? 'MAX(CASE WHEN cr.user_id = $1 THEN 1 ELSE 0 END) as user_reacted' : '0 as user_reacted'}
-          FROM reactions r
-          LEFT JOIN comment_reactions cr ON r.id = cr.reaction_id AND cr.comment_id = $${req.user ? 2 : 1}
-          GROUP BY r.id, r.emoji, r.name
-          ORDER BY r.id
-        `;
-        
-        const reactionsParams = req.user ? [req.user.id, comment.id] : [comment.id];
-        const reactionsResult = await db.query(reactionsQuery, reactionsParams);
-        
-        return {
-          ...comment,
-          reactions_count: parseInt(comment.reactions_count),
-          reactions: reactionsResult.rows.map(r => ({
-            id: r.id,
-            emoji: r.emoji,
-            name: r.name,
-            count: parseInt(r.count),
-            user_reacted: Boolean(parseInt(r.user_reacted))
-          }))
-        };
-      })
-    );
+    const { items: roots, hasNext, nextCursor } = paginateRows(commentsResult.rows, validLimit);
+    const replies = await getReplies(roots.map(c => c.id), depth);
+    const comments = await attachReactions([...roots, ...replies], req.user);
     
-    res.json({
-      comments: commentsWithReactions,
-      pagination: {
+    let pagination;
+    
+    if (cursor) {
+      pagination = {
+        limit: validLimit,
+        hasNext,
+        nextCursor
+      };
+    } else {
+      const totalCount = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(totalCount / validLimit);
+      
+      pagination = {
         page,
         limit: validLimit,
         total: totalCount,
         totalPages,
         hasNext: page < totalPages,
-        hasPrev: page > 1
-      }
+        hasPrev: page > 1,
+        nextCursor
+      };
+    }
+    
+    res.json({
+      comments: buildTree(comments, roots.map(c => c.id)),
+      pagination
     });
     
   } catch (error) {
@@ -172,6 +262,85 @@ router.get('/article/:articleId', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/comments/{id}/replies:
+ *   get:
+ *     summary: Получение ветки ответов на комментарий
+ *     description: Используется для подгрузки ответов, не вошедших в дерево из-за ограничения глубины.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID комментария
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 5
+ *           default: 5
+ *         description: Сколько уровней ответов включить в дерево
+ *     responses:
+ *       200:
+ *         description: Ответы получены успешно
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 replies:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *       404:
+ *         description: Комментарий не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/replies', optionalAuth, async (req, res) => {
+  try {
+    const commentId = req.params.id;
+    const depth = parseDepth(req.query.depth);
+    
+    // Ответы в неопубликованных статьях видны только автору статьи
+    const commentQuery = `
+      SELECT c.id
+      FROM comments c
+      JOIN articles a ON c.article_id = a.id
+      WHERE c.id = $1 AND (a.status = 'published' OR a.author_id = $2)
+    `;
+    const commentExists = await db.query(commentQuery, [commentId, req.user ? req.user.id : null]);
+    if (commentExists.rows.length === 0) {
+      return res.status(404).json({ message: 'Комментарий не найден' });
+    }
+    
+    const replies = await attachReactions(await getReplies([commentExists.rows[0].id], depth), req.user);
+    const directReplyIds = replies
+      .filter(c => c.parent_id === commentExists.rows[0].id)
+      .map(c => c.id);
+    
+    res.json({
+      replies: buildTree(replies, directReplyIds)
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения ответов:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
 /**
  * @swagger
  * /api/comments/article/{articleId}:
@@ -237,8 +406,8 @@ router.post('/article/:articleId', authenticateToken, validate(commentSchemas.cr
     const { content } = req.body;
     const authorId = req.user.id;
     
-    // Проверяем, существует ли статья
-    const articleExists = await db.query('SELECT id FROM articles WHERE id = $1', [articleId]);
+    // Проверяем, существует ли опубликованная статья
+    const articleExists = await db.query("SELECT id, author_id FROM articles WHERE id = $1 AND status = 'published'", [articleId]);
     if (articleExists.rows.length === 0) {
       return res.status(404).json({ message: 'Статья не найдена' });
     }
@@ -247,7 +416,7 @@ router.post('/article/:articleId', authenticateToken, validate(commentSchemas.cr
     const createQuery = `
       INSERT INTO comments (content, article_id, author_id)
       VALUES ($1, $2, $3)
-      RETURNING id, content, article_id, author_id, created_at, updated_at
+      RETURNING id, content, article_id, author_id, parent_id, depth, created_at, updated_at
     `;
     
     const result = await db.query(createQuery, [content, articleId, authorId]);
@@ -258,15 +427,29 @@ router.post('/article/:articleId', authenticateToken, validate(commentSchemas.cr
     const authorResult = await db.query(authorQuery, [authorId]);
     const author = authorResult.rows[0];
     
+    await notify({
+      userId: articleExists.rows[0].author_id,
+      actorId: authorId,
+      type: 'comment',
+      articleId: comment.article_id,
+      commentId: comment.id
+    });
+    
+    const createdComment = {
+      ...comment,
+      author_username: author.username,
+      author_avatar: author.avatar_url,
+      reactions_count: 0,
+      replies_count: 0,
+      reactions: [],
+      replies: []
+    };
+    
+    publish(comment.article_id, 'comment.created', { comment: createdComment });
+    
     res.status(201).json({
       message: 'Комментарий успешно добавлен',
-      comment: {
-        ...comment,
-        author_username: author.username,
-        author_avatar: author.avatar_url,
-        reactions_count: 0,
-        reactions: []
-      }
+      comment: createdComment
     });
     
   } catch (error) {
@@ -275,6 +458,142 @@ router.post('/article/:articleId', authenticateToken, validate(commentSchemas.cr
   }
 });
 
+/**
+ * @swagger
+ * /api/comments/{id}/replies:
+ *   post:
+ *     summary: Ответ на комментарий
+ *     tags: [Comments]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID комментария, на который дается ответ
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentRequest'
+ *     responses:
+ *       201:
+ *         description: Ответ успешно добавлен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Ответ успешно добавлен"
+ *                 comment:
+ *                   $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Ошибка валидации данных или превышена глубина ответов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Комментарий не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/replies', authenticateToken, validate(commentSchemas.create), async (req, res) => {
+  try {
+    const parentId = req.params.id;
+    const { content } = req.body;
+    const authorId = req.user.id;
+    
+    // Отвечать можно только на комментарии к опубликованным статьям
+    const parentQuery = `
+      SELECT c.id, c.article_id, c.depth, c.author_id, a.author_id as article_author_id
+      FROM comments c
+      JOIN articles a ON c.article_id = a.id
+      WHERE c.id = $1 AND a.status = 'published'
+    `;
+    const parentResult = await db.query(parentQuery, [parentId]);
+    
+    if (parentResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Комментарий не найден' });
+    }
+    
+    const parent = parentResult.rows[0];
+    
+    if (parent.depth + 1 > MAX_COMMENT_DEPTH) {
+      return res.status(400).json({ message: 'Достигнута максимальная глубина ответов' });
+    }
+    
+    const createQuery = `
+      INSERT INTO comments (content, article_id, author_id, parent_id, depth)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, content, article_id, author_id, parent_id, depth, created_at, updated_at
+    `;
+    
+    const result = await db.query(createQuery, [content, parent.article_id, authorId, parent.id, parent.depth + 1]);
+    const reply = result.rows[0];
+    
+    // Автор родительского комментария получает уведомление об ответе,
+    // автор статьи — о новом комментарии (если это не одно лицо)
+    await notify({
+      userId: parent.author_id,
+      actorId: authorId,
+      type: 'reply',
+      articleId: reply.article_id,
+      commentId: reply.id
+    });
+    
+    if (parent.article_author_id !== parent.author_id) {
+      await notify({
+        userId: parent.article_author_id,
+        actorId: authorId,
+        type: 'comment',
+        articleId: reply.article_id,
+        commentId: reply.id
+      });
+    }
+    
+    const createdReply = {
+      ...reply,
+      author_username: req.user.username,
+      author_avatar: req.user.avatar_url,
+      reactions_count: 0,
+      replies_count: 0,
+      reactions: [],
+      replies: []
+    };
+    
+    publish(reply.article_id, 'comment.created', { comment: createdReply });
+    
+    res.status(201).json({
+      message: 'Ответ успешно добавлен',
+      comment: createdReply
+    });
+    
+  } catch (error) {
+    console.error('Ошибка создания ответа:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
 /**
  * @swagger
  * /api/comments/{id}:
@@ -349,7 +668,7 @@ router.put('/:id', authenticateToken, checkAuthor('comment'), validate(commentSc
       UPDATE comments 
       SET content = $1, updated_at = CURRENT_TIMESTAMP
       WHERE id = $2
-      RETURNING id, content, article_id, author_id, created_at, updated_at
+      RETURNING id, content, article_id, author_id, parent_id, depth, created_at, updated_at
     `;
     
     const result = await db.query(updateQuery, [content, commentId]);
@@ -359,13 +678,17 @@ router.put('/:id', authenticateToken, checkAuthor('comment'), validate(commentSc
     const authorResult = await db.query(authorQuery, [req.user.id]);
     const author = authorResult.rows[0];
     
+    const updatedComment = {
+      ...result.rows[0],
+      author_username: author.username,
+      author_avatar: author.avatar_url
+    };
+    
+    publish(updatedComment.article_id, 'comment.updated', { comment: updatedComment });
+    
     res.json({
       message: 'Комментарий успешно обновлен',
-      comment: {
-        ...result.rows[0],
-        author_username: author.username,
-        author_avatar: author.avatar_url
-      }
+      comment: updatedComment
     });
     
   } catch (error) {
@@ -379,6 +702,7 @@ router.put('/:id', authenticateToken, checkAuthor('comment'), validate(commentSc
  * /api/comments/{id}:
  *   delete:
  *     summary: Удаление комментария
+ *     description: Вместе с комментарием удаляются все ответы на него. Доступно автору комментария, модераторам и администраторам.
  *     tags: [Comments]
  *     security:
  *       - authorization: []
@@ -431,17 +755,24 @@ router.put('/:id', authenticateToken, checkAuthor('comment'), validate(commentSc
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', authenticateToken, checkAuthor('comment'), async (req, res) => {
+router.delete('/:id', authenticateToken, checkAuthor('comment', { allowRoles: MODERATOR_ROLES }), async (req, res) => {
   try {
     const commentId = req.params.id;
     
-    const deleteQuery = 'DELETE FROM comments WHERE id = $1 RETURNING content';
+    const deleteQuery = 'DELETE FROM comments WHERE id = $1 RETURNING id, content, article_id, parent_id';
     const result = await db.query(deleteQuery, [commentId]);
+    const deleted = result.rows[0];
+    
+    publish(deleted.article_id, 'comment.deleted', {
+      id: deleted.id,
+      article_id: deleted.article_id,
+      parent_id: deleted.parent_id
+    });
     
     res.json({
       message: 'Комментарий успешно удален',
       deletedComment: {
-        content: result.rows[0].content
+        content: deleted.content
       }
     });
     
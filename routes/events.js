@@ -0,0 +1,236 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken, authenticateStream, findSessionUser } = require('../middleware/auth');
+const { subscribe, onStreamRevoked } = require('../utils/events');
+const { STREAM_TOKEN_EXPIRES_IN, generateStreamToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+// Максимальное количество статей в одной подписке
+const MAX_SUBSCRIBED_ARTICLES = 20;
+
+// Интервал служебных сообщений, чтобы прокси не закрывали соединение.
+// С тем же интервалом заново проверяются сессия и доступ к статьям
+const HEARTBEAT_INTERVAL = 25000;
+
+const writeEvent = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Количество статей, доступных пользователю: опубликованные и свои черновики
+const countVisibleArticles = async (articleIds, userId) => {
+  const result = await db.query(`
+    SELECT COUNT(*)::int as count FROM articles
+    WHERE id = ANY($1::int[]) AND (status = 'published' OR author_id = $2)
+  `, [articleIds, userId]);
+
+  return result.rows[0].count;
+};
+
+/**
+ * @swagger
+ * /api/events/token:
+ *   post:
+ *     summary: Токен для подключения к потоку событий
+ *     description: |
+ *       EventSource в браузере не передает заголовки, а access-токен нельзя передавать в URL.
+ *       Вместо него выдается токен потока: он действует минуту, принимается только маршрутом
+ *       `GET /api/events` и привязан к текущей сессии. Поток, открытый по нему, закрывается,
+ *       когда истекает access-токен, которым токен потока получен.
+ *     tags: [Events]
+ *     security:
+ *       - authorization: []
+ *     responses:
+ *       200:
+ *         description: Токен выдан
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: "60s"
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/token', authenticateToken, (req, res) => {
+  res.json({
+    token: generateStreamToken(req.user.id, req.sessionId, req.tokenExpiresAt),
+    expiresIn: STREAM_TOKEN_EXPIRES_IN
+  });
+});
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Поток событий статей (Server-Sent Events)
+ *     description: |
+ *       Держит соединение открытым и присылает события по выбранным статьям:
+ *       - `comment.created` — новый комментарий или ответ (`{ comment }`);
+ *       - `comment.updated` — комментарий отредактирован (`{ comment }`);
+ *       - `comment.deleted` — комментарий удален вместе с ответами (`{ id, article_id, parent_id }`);
+ *       - `article.reactions` — изменились реакции статьи (`{ article_id, reactions_count, reactions }`);
+ *       - `comment.reactions` — изменились реакции комментария (`{ article_id, comment_id, reactions_count, reactions }`).
+ *
+ *       Сразу после подключения приходит событие `ready`. EventSource в браузере не передает заголовки,
+ *       поэтому вместо заголовка Authorization можно указать токен потока (`POST /api/events/token`)
+ *       в параметре `token`.
+ *
+ *       Срок токена, сессия и доступ к статьям проверяются заново каждые 25 секунд. Поток закрывается
+ *       событием `closed` (`{ reason }`), когда истек токен (`token_expired`), статья стала недоступна
+ *       (`access_revoked`) или сессия завершена (`session_ended`). При выходе из сессии и удалении
+ *       аккаунта поток закрывается сразу. После этого нужно получить новый токен и переподключиться.
+ *     tags: [Events]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: query
+ *         name: articles
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "1,2,3"
+ *         description: ID статей через запятую (не более 20)
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Токен потока, если access-токен нельзя передать в заголовке Authorization
+ *     responses:
+ *       200:
+ *         description: Поток событий
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Не указаны или неверно указаны статьи
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Статья не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateStream, async (req, res) => {
+  try {
+    const articleIds = [...new Set(
+      String(req.query.articles || '')
+        .split(',')
+        .map(id => parseInt(id))
+        .filter(id => Number.isInteger(id) && id > 0)
+    )];
+
+    if (articleIds.length === 0) {
+      return res.status(400).json({ message: 'Укажите статьи для подписки' });
+    }
+
+    if (articleIds.length > MAX_SUBSCRIBED_ARTICLES) {
+      return res.status(400).json({ message: `Можно подписаться не более чем на ${MAX_SUBSCRIBED_ARTICLES} статей` });
+    }
+
+    const userId = req.user.id;
+    const { sessionId } = req;
+
+    // Подписаться можно на опубликованные статьи и на свои черновики
+    if (await countVisibleArticles(articleIds, userId) !== articleIds.length) {
+      return res.status(404).json({ message: 'Статья не найдена' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    writeEvent(res, 'ready', { articles: articleIds });
+
+    const unsubscribe = subscribe(articleIds, ({ type, data }) => {
+      writeEvent(res, type, data);
+    });
+
+    let closed = false;
+
+    const stop = () => {
+      if (closed) {
+        return false;
+      }
+
+      closed = true;
+      clearInterval(heartbeat);
+      stopRevocation();
+      unsubscribe();
+      return true;
+    };
+
+    const close = (reason) => {
+      if (stop()) {
+        writeEvent(res, 'closed', { reason });
+        res.end();
+      }
+    };
+
+    // Доступ мог пропасть после подключения: истек токен, сессия завершена,
+    // пользователь удален, статья снята с публикации или удалена
+    const checkAccess = async () => {
+      if (Date.now() >= req.tokenExpiresAt * 1000) {
+        return close('token_expired');
+      }
+
+      try {
+        const { user, sessionActive } = await findSessionUser(userId, sessionId);
+
+        if (!user || !sessionActive) {
+          return close('session_ended');
+        }
+
+        if (await countVisibleArticles(articleIds, userId) !== articleIds.length) {
+          return close('access_revoked');
+        }
+
+        if (!closed) {
+          res.write(': ping\n\n');
+        }
+      } catch (error) {
+        console.error('Ошибка проверки доступа к потоку событий:', error);
+      }
+    };
+
+    const heartbeat = setInterval(checkAccess, HEARTBEAT_INTERVAL);
+    const stopRevocation = onStreamRevoked(userId, sessionId, () => close('session_ended'));
+
+    req.on('close', stop);
+
+  } catch (error) {
+    console.error('Ошибка подписки на события:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { TAGS_SUBQUERY } = require('../utils/tags');
+const { attachReactionSummaries } = require('../utils/reactions');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/feed:
+ *   get:
+ *     summary: Лента статей авторов, на которых подписан пользователь
+ *     description: Возвращает опубликованные статьи в порядке публикации (новые сверху). Формат ответа совпадает с GET /api/articles.
+ *     tags: [Feed]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Количество статей на странице
+ *     responses:
+ *       200:
+ *         description: Лента статей
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 articles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Article'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const validLimit = Math.min(Math.max(limit, 1), 50); // от 1 до 50
+    const offset = (page - 1) * validLimit;
+    const userId = req.user.id;
+
+    const whereClause = `
+      WHERE a.status = 'published'
+        AND a.author_id IN (SELECT following_id FROM follows WHERE follower_id = $1)
+    `;
+
+    const articlesQuery = `
+      SELECT
+        a.id,
+        a.title,
+        a.content,
+        a.content_format,
+        a.author_id,
+        a.status,
+        a.published_at,
+        a.created_at,
+        a.updated_at,
+        u.username as author_username,
+        u.avatar_url as author_avatar,
+        a.comments_count,
+        a.reactions_count,
+        EXISTS (
+          SELECT 1 FROM bookmarks b WHERE b.article_id = a.id AND b.user_id = $1
+        ) as is_bookmarked,
+        ${TAGS_SUBQUERY}
+      FROM articles a
+      JOIN users u ON a.author_id = u.id
+      ${whereClause}
+      ORDER BY a.published_at DESC, a.id DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM articles a
+      ${whereClause}
+    `;
+
+    const [articlesResult, countResult] = await Promise.all([
+      db.query(articlesQuery, [userId, validLimit, offset]),
+      db.query(countQuery, [userId])
+    ]);
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / validLimit);
+
+    // Реакции всех статей страницы загружаются одним запросом
+    const articlesWithReactions = await attachReactionSummaries('article', articlesResult.rows, userId);
+
+    res.json({
+      articles: articlesWithReactions,
+      pagination: {
+        page,
+        limit: validLimit,
+        total: totalCount,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка получения ленты:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,348 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadMedia, handleUploadError, verifyImageSignature } = require('../middleware/upload');
+const { normalizeOriginalName, formatMedia, getMediaUsage } = require('../utils/media');
+const { imageExtension } = require('../utils/images');
+const { generateKey, saveFile, removeFiles } = require('../utils/storage');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/media:
+ *   post:
+ *     summary: Загрузка изображений для статей
+ *     description: |
+ *       Принимает до 10 файлов (JPG, PNG, GIF, до 5MB каждый) в поле `files`.
+ *       Формат определяется по содержимому файла, а не по заявленному типу.
+ *       Суммарный размер изображений пользователя ограничен квотой.
+ *       Полученный `url` вставляется в текст статьи; изображения, на которые
+ *       не ссылается ни одна статья, удаляются вместе с последней такой статьей.
+ *     tags: [Media]
+ *     security:
+ *       - authorization: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *             required:
+ *               - files
+ *     responses:
+ *       201:
+ *         description: Изображения загружены
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Файлы успешно загружены"
+ *                 media:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Media'
+ *                 usage:
+ *                   $ref: '#/components/schemas/MediaUsage'
+ *       400:
+ *         description: Файлы не загружены, неверный формат или превышена квота
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', uploadMedia, handleUploadError, verifyImageSignature, async (req, res) => {
+  const files = req.files || [];
+  const savedKeys = [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'Файлы не загружены' });
+    }
+
+    const userId = req.user.id;
+    const uploadedSize = files.reduce((sum, file) => sum + file.size, 0);
+    const exceedsQuota = (usage) => usage.used + uploadedSize > usage.quota;
+
+    // Предварительная проверка, чтобы не сохранять файлы, которые заведомо не поместятся
+    if (exceedsQuota(await getMediaUsage(db, userId))) {
+      return res.status(400).json({ message: 'Превышена квота на загрузку изображений' });
+    }
+
+    // Расширение файла определяется по содержимому, а не по имени от клиента
+    for (const file of files) {
+      const key = generateKey('media', userId, imageExtension(file.mimetype));
+      await saveFile(key, file.buffer, file.mimetype);
+      savedKeys.push(key);
+    }
+
+    // Окончательная проверка квоты под блокировкой строки пользователя:
+    // параллельные загрузки одного пользователя записываются по очереди
+    // и вместе не превысят квоту
+    const uploaded = await db.transaction(async (client) => {
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      const usage = await getMediaUsage(client, userId);
+
+      if (exceedsQuota(usage)) {
+        return null;
+      }
+
+      const rows = [];
+
+      for (const [index, file] of files.entries()) {
+        const result = await client.query(`
+          INSERT INTO media (user_id, filename, original_name, mime_type, size)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING id, filename, original_name, mime_type, size, created_at
+        `, [userId, savedKeys[index], normalizeOriginalName(file.originalname), file.mimetype, file.size]);
+
+        rows.push(result.rows[0]);
+      }
+
+      return { media: rows, usage };
+    });
+
+    if (!uploaded) {
+      removeFiles(savedKeys);
+      return res.status(400).json({ message: 'Превышена квота на загрузку изображений' });
+    }
+
+    res.status(201).json({
+      message: 'Файлы успешно загружены',
+      media: uploaded.media.map(formatMedia),
+      usage: {
+        used: uploaded.usage.used + uploadedSize,
+        quota: uploaded.usage.quota
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка загрузки изображений:', error);
+
+    removeFiles(savedKeys);
+
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/media:
+ *   get:
+ *     summary: Изображения текущего пользователя
+ *     tags: [Media]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Количество изображений на странице
+ *     responses:
+ *       200:
+ *         description: Список изображений
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 media:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Media'
+ *                 usage:
+ *                   $ref: '#/components/schemas/MediaUsage'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const validLimit = Math.min(Math.max(limit, 1), 100);
+    const offset = (page - 1) * validLimit;
+    const userId = req.user.id;
+
+    const mediaQuery = `
+      SELECT
+        m.id, m.filename, m.original_name, m.mime_type, m.size, m.created_at,
+        ARRAY(SELECT am.article_id FROM article_media am WHERE am.media_id = m.id ORDER BY am.article_id) as article_ids
+      FROM media m
+      WHERE m.user_id = $1
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const [mediaResult, countResult, usage] = await Promise.all([
+      db.query(mediaQuery, [userId, validLimit, offset]),
+      db.query('SELECT COUNT(*) as total FROM media WHERE user_id = $1', [userId]),
+      getMediaUsage(db, userId)
+    ]);
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / validLimit);
+
+    res.json({
+      media: mediaResult.rows.map(media => ({
+        ...formatMedia(media),
+        article_ids: media.article_ids
+      })),
+      usage,
+      pagination: {
+        page,
+        limit: validLimit,
+        total: totalCount,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка получения изображений:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/media/{id}:
+ *   delete:
+ *     summary: Удаление изображения
+ *     description: Удалить можно только собственное изображение, которое не используется в статьях.
+ *     tags: [Media]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID изображения
+ *     responses:
+ *       200:
+ *         description: Изображение удалено
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Изображение успешно удалено"
+ *       400:
+ *         description: Изображение используется в статьях
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Изображение не найдено
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const mediaResult = await db.query(`
+      SELECT m.id, m.filename,
+        EXISTS (SELECT 1 FROM article_media am WHERE am.media_id = m.id) as in_use
+      FROM media m
+      WHERE m.id = $1 AND m.user_id = $2
+    `, [req.params.id, req.user.id]);
+
+    if (mediaResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Изображение не найдено' });
+    }
+
+    const media = mediaResult.rows[0];
+
+    if (media.in_use) {
+      return res.status(400).json({ message: 'Изображение используется в статьях' });
+    }
+
+    await db.query('DELETE FROM media WHERE id = $1', [media.id]);
+    removeFiles([media.filename]);
+
+    res.json({ message: 'Изображение успешно удалено' });
+
+  } catch (error) {
+    console.error('Ошибка удаления изображения:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,391 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, notificationSchemas } = require('../middleware/validation');
+const { getPreferences } = require('../utils/notifications');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Уведомления текущего пользователя
+ *     description: Уведомления о комментариях, ответах, реакциях и новых подписчиках, начиная с последних.
+ *     tags: [Notifications]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Количество уведомлений на странице
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Только непрочитанные
+ *     responses:
+ *       200:
+ *         description: Список уведомлений
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 unread_count:
+ *                   type: integer
+ *                   description: Общее количество непрочитанных уведомлений
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const validLimit = Math.min(Math.max(limit, 1), 50);
+    const offset = (page - 1) * validLimit;
+    const unreadOnly = req.query.unread === 'true';
+    const userId = req.user.id;
+
+    const whereClause = `WHERE n.user_id = $1${unreadOnly ? ' AND n.read_at IS NULL' : ''}`;
+
+    const notificationsQuery = `
+      SELECT
+        n.id,
+        n.type,
+        n.actor_id,
+        u.username as actor_username,
+        u.avatar_url as actor_avatar,
+        n.article_id,
+        a.title as article_title,
+        n.comment_id,
+        r.emoji as reaction_emoji,
+        n.read_at,
+        n.created_at
+      FROM notifications n
+      LEFT JOIN users u ON n.actor_id = u.id
+      LEFT JOIN articles a ON n.article_id = a.id
+      LEFT JOIN reactions r ON n.reaction_id = r.id
+      ${whereClause}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const countQuery = `SELECT COUNT(*) as total FROM notifications n ${whereClause}`;
+    const unreadQuery = 'SELECT COUNT(*) as total FROM notifications WHERE user_id = $1 AND read_at IS NULL';
+
+    const [notificationsResult, countResult, unreadResult] = await Promise.all([
+      db.query(notificationsQuery, [userId, validLimit, offset]),
+      db.query(countQuery, [userId]),
+      db.query(unreadQuery, [userId])
+    ]);
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / validLimit);
+
+    res.json({
+      notifications: notificationsResult.rows,
+      unread_count: parseInt(unreadResult.rows[0].total),
+      pagination: {
+        page,
+        limit: validLimit,
+        total: totalCount,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка получения уведомлений:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Отметить все уведомления прочитанными
+ *     tags: [Notifications]
+ *     security:
+ *       - authorization: []
+ *     responses:
+ *       200:
+ *         description: Уведомления отмечены прочитанными
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Все уведомления отмечены прочитанными"
+ *                 updated:
+ *                   type: integer
+ *                   description: Количество отмеченных уведомлений
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await db.query(
+      'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      message: 'Все уведомления отмечены прочитанными',
+      updated: result.rowCount
+    });
+
+  } catch (error) {
+    console.error('Ошибка отметки уведомлений:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Настройки уведомлений
+ *     tags: [Notifications]
+ *     security:
+ *       - authorization: []
+ *     responses:
+ *       200:
+ *         description: Настройки по типам уведомлений
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Изменение настроек уведомлений
+ *     description: Передаются только изменяемые типы; остальные настройки сохраняются.
+ *     tags: [Notifications]
+ *     security:
+ *       - authorization: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: Настройки сохранены
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Настройки уведомлений сохранены"
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Ошибка валидации данных
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json({
+      preferences: await getPreferences(db, req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Ошибка получения настроек уведомлений:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+router.put('/preferences', validate(notificationSchemas.preferences), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const preferences = await db.transaction(async (client) => {
+      for (const [type, enabled] of Object.entries(req.body)) {
+        await client.query(`
+          INSERT INTO notification_preferences (user_id, type, enabled)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (user_id, type) DO UPDATE SET enabled = EXCLUDED.enabled
+        `, [userId, type, enabled]);
+      }
+
+      return getPreferences(client, userId);
+    });
+
+    res.json({
+      message: 'Настройки уведомлений сохранены',
+      preferences
+    });
+
+  } catch (error) {
+    console.error('Ошибка сохранения настроек уведомлений:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Отметить уведомление прочитанным
+ *     tags: [Notifications]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID уведомления
+ *     responses:
+ *       200:
+ *         description: Уведомление отмечено прочитанным
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Уведомление отмечено прочитанным"
+ *                 unread_count:
+ *                   type: integer
+ *                   description: Оставшееся количество непрочитанных уведомлений
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Уведомление не найдено
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/read', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await db.query(
+      'UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = $1 AND user_id = $2',
+      [req.params.id, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Уведомление не найдено' });
+    }
+
+    const unreadResult = await db.query(
+      'SELECT COUNT(*) as total FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+
+    res.json({
+      message: 'Уведомление отмечено прочитанным',
+      unread_count: parseInt(unreadResult.rows[0].total)
+    });
+
+  } catch (error) {
+    console.error('Ошибка отметки уведомления:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,16 @@
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { validate, userSchemas } = require('../middleware/validation');
-const { uploadAvatar, handleUploadError } = require('../middleware/upload');
+const { uploadAvatar, handleUploadError, verifyImageSignature } = require('../middleware/upload');
+const { sendVerificationEmail } = require('../utils/emails');
+const { hashPassword, comparePassword } = require('../utils/password');
+const { revokeAllSessions } = require('../utils/tokens');
+const { closeUserStreams } = require('../utils/events');
+const { deleteUser, anonymizeUser, exportUserData } = require('../utils/account');
+const { TAGS_SUBQUERY } = require('../utils/tags');
+const { removeFiles } = require('../utils/storage');
+const { processAvatar, avatarVariants, removeAvatarFiles } = require('../utils/images');
 
 const router = express.Router();
 
@@ -49,7 +55,7 @@ router.get('/', authenticateToken, async (req, res) => {
 	try {
 		// Получаем полные данные пользователя
 		const userQuery = `
-			SELECT id, username, email, avatar_url, created_at, updated_at 
+			SELECT id, username, email, email_verified, avatar_url, role, created_at, updated_at 
 			FROM users 
 			WHERE id = $1
 		`;
@@ -66,7 +72,10 @@ router.get('/', authenticateToken, async (req, res) => {
 				id: user.id,
 				username: user.username,
 				email: user.email,
+				email_verified: user.email_verified,
 				avatar_url: user.avatar_url,
+				avatar_variants: avatarVariants(user.avatar_url),
+				role: user.role,
 				created_at: user.created_at,
 				updated_at: user.updated_at
 			}
@@ -101,7 +110,7 @@ router.get('/', authenticateToken, async (req, res) => {
  *               email:
  *                 type: string
  *                 format: email
- *                 description: Новый email пользователя
+ *                 description: Новый email пользователя (потребует повторного подтверждения)
  *     responses:
  *       200:
  *         description: Профиль успешно обновлен
@@ -165,12 +174,19 @@ router.put('/', authenticateToken, validate(userSchemas.updateProfile), async (r
       paramIndex++;
     }
 
+    // Новый email требует повторного подтверждения
+    const emailChanged = Boolean(email) && email !== req.user.email;
+
     if (email) {
       updateFields.push(`email = $${paramIndex}`);
       updateValues.push(email);
       paramIndex++;
     }
 
+    if (emailChanged) {
+      updateFields.push('email_verified = FALSE');
+    }
+
     if (updateFields.length === 0) {
       return res.status(400).json({ message: 'Нет данных для обновления' });
     }
@@ -181,11 +197,15 @@ router.put('/', authenticateToken, validate(userSchemas.updateProfile), async (r
       UPDATE users 
       SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP 
       WHERE id = $${paramIndex}
-      RETURNING id, username, email, avatar_url, updated_at
+      RETURNING id, username, email, email_verified, avatar_url, updated_at
     `;
 
     const result = await db.query(updateQuery, updateValues);
 
+    if (emailChanged) {
+      await sendVerificationEmail(result.rows[0]);
+    }
+
     res.json({
       message: 'Профиль успешно обновлен',
       user: result.rows[0]
@@ -198,6 +218,435 @@ router.put('/', authenticateToken, validate(userSchemas.updateProfile), async (r
 });
 
 
+/**
+ * @swagger
+ * /api/profile/password:
+ *   put:
+ *     summary: Смена пароля
+ *     description: Требует текущий пароль. После смены все остальные сессии пользователя завершаются, текущая остается активной.
+ *     tags: [Profile]
+ *     security:
+ *       - authorization: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 description: Текущий пароль
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: Новый пароль (минимум 8 символов, не более 72 байт в UTF-8, хотя бы одна буква и одна цифра)
+ *     responses:
+ *       200:
+ *         description: Пароль успешно изменен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Пароль успешно изменен"
+ *                 revokedSessions:
+ *                   type: integer
+ *                   description: Количество завершенных сессий на других устройствах
+ *       400:
+ *         description: Ошибка валидации данных или неверный текущий пароль
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/password', authenticateToken, validate(userSchemas.changePassword), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const userId = req.user.id;
+
+    const userResult = await db.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+    const isValidPassword = await comparePassword(currentPassword, userResult.rows[0].password_hash);
+
+    if (!isValidPassword) {
+      return res.status(400).json({ message: 'Неверный текущий пароль' });
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+
+    await db.query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [hashedPassword, userId]
+    );
+
+    // Завершаем все сессии, кроме текущей
+    const revokedSessions = await revokeAllSessions(userId, req.sessionId);
+
+    res.json({
+      message: 'Пароль успешно изменен',
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Ошибка смены пароля:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/profile/bookmarks:
+ *   get:
+ *     summary: Закладки текущего пользователя
+ *     description: Возвращает опубликованные статьи из закладок, начиная с последних добавленных.
+ *     tags: [Profile]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Количество статей на странице
+ *     responses:
+ *       200:
+ *         description: Список закладок
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 articles:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Article'
+ *                       - type: object
+ *                         properties:
+ *                           bookmarked_at:
+ *                             type: string
+ *                             format: date-time
+ *                             description: Дата добавления в закладки
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/bookmarks', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const validLimit = Math.min(Math.max(limit, 1), 50);
+    const offset = (page - 1) * validLimit;
+    const userId = req.user.id;
+
+    const articlesQuery = `
+      SELECT 
+        a.id,
+        a.title,
+        a.content,
+        a.content_format,
+        a.author_id,
+        a.status,
+        a.published_at,
+        a.created_at,
+        a.updated_at,
+        u.username as author_username,
+        u.avatar_url as author_avatar,
+        a.comments_count,
+        a.reactions_count,
+        TRUE as is_bookmarked,
+        ${TAGS_SUBQUERY},
+        b.created_at as bookmarked_at
+      FROM bookmarks b
+      JOIN articles a ON b.article_id = a.id
+      JOIN users u ON a.author_id = u.id
+      WHERE b.user_id = $1 AND a.status = 'published'
+      ORDER BY b.created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM bookmarks b
+      JOIN articles a ON b.article_id = a.id
+      WHERE b.user_id = $1 AND a.status = 'published'
+    `;
+
+    const [articlesResult, countResult] = await Promise.all([
+      db.query(articlesQuery, [userId, validLimit, offset]),
+      db.query(countQuery, [userId])
+    ]);
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / validLimit);
+
+    res.json({
+      articles: articlesResult.rows,
+      pagination: {
+        page,
+        limit: validLimit,
+        total: totalCount,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка получения закладок:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/profile/export:
+ *   get:
+ *     summary: Выгрузка всех данных пользователя
+ *     description: Возвращает JSON-файл с профилем, статьями (включая черновики), ревизиями, комментариями, реакциями, подписками, закладками, загруженными изображениями, сессиями и аватаром (в base64).
+ *     tags: [Profile]
+ *     security:
+ *       - authorization: []
+ *     responses:
+ *       200:
+ *         description: Данные пользователя
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exported_at:
+ *                   type: string
+ *                   format: date-time
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 avatar:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                     mime_type:
+ *                       type: string
+ *                     data:
+ *                       type: string
+ *                       description: Содержимое файла в base64
+ *                 articles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 comments:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 reactions:
+ *                   type: object
+ *                   properties:
+ *                     articles:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     comments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                 following:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 bookmarks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 media:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Media'
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const data = await exportUserData(db, req.user.id);
+
+    res.attachment(`articlehub-export-${req.user.id}.json`);
+    res.json(data);
+
+  } catch (error) {
+    console.error('Ошибка выгрузки данных пользователя:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/profile:
+ *   delete:
+ *     summary: Удаление аккаунта
+ *     description: |
+ *       Требует подтверждения паролем. Режимы:
+ *       - `delete` — аккаунт удаляется вместе со статьями, комментариями и реакциями;
+ *       - `anonymize` — персональные данные стираются, опубликованные статьи и комментарии
+ *         остаются от имени анонимного пользователя, черновики и архив удаляются.
+ *     tags: [Profile]
+ *     security:
+ *       - authorization: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - mode
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Текущий пароль
+ *               mode:
+ *                 type: string
+ *                 enum: [delete, anonymize]
+ *                 description: Режим удаления
+ *     responses:
+ *       200:
+ *         description: Аккаунт удален
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Аккаунт успешно удален"
+ *                 mode:
+ *                   type: string
+ *                   enum: [delete, anonymize]
+ *       400:
+ *         description: Ошибка валидации данных или неверный пароль
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/', authenticateToken, validate(userSchemas.deleteAccount), async (req, res) => {
+  try {
+    const { password, mode } = req.body;
+    const userId = req.user.id;
+
+    const userResult = await db.query('SELECT password_hash, avatar_url FROM users WHERE id = $1', [userId]);
+    const { password_hash: passwordHash, avatar_url: avatarUrl } = userResult.rows[0];
+
+    const isValidPassword = await comparePassword(password, passwordHash);
+
+    if (!isValidPassword) {
+      return res.status(400).json({ message: 'Неверный пароль' });
+    }
+
+    const mediaFiles = await db.transaction(async (client) => {
+      return mode === 'delete'
+        ? deleteUser(client, userId)
+        : anonymizeUser(client, userId);
+    });
+
+    closeUserStreams(userId);
+    removeFiles(mediaFiles);
+
+    // Удаляем файлы аватара
+    removeAvatarFiles(avatarUrl);
+
+    res.json({
+      message: 'Аккаунт успешно удален',
+      mode
+    });
+
+  } catch (error) {
+    console.error('Ошибка удаления аккаунта:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
 /**
  * @swagger
  * /api/profile/avatar:
@@ -216,7 +665,9 @@ router.put('/', authenticateToken, validate(userSchemas.updateProfile), async (r
  *               avatar:
  *                 type: string
  *                 format: binary
- *                 description: Файл аватара (JPG, PNG, GIF, максимум 5MB)
+ *                 description: |
+ *                   Файл аватара (JPG, PNG, GIF, максимум 5MB). Формат проверяется по содержимому,
+ *                   метаданные удаляются, сохраняются квадратные копии 64, 128 и 256 px в WebP.
  *             required:
  *               - avatar
  *     responses:
@@ -246,13 +697,15 @@ router.put('/', authenticateToken, validate(userSchemas.updateProfile), async (r
  *                     avatar_url:
  *                       type: string
  *                       format: uri
- *                       description: URL аватара
+ *                       description: URL аватара (256 px)
+ *                     avatar_variants:
+ *                       $ref: '#/components/schemas/AvatarVariants'
  *                     updated_at:
  *                       type: string
  *                       format: date-time
  *                       description: Дата последнего обновления
  *       400:
- *         description: Файл не загружен или неверный формат
+ *         description: Файл не загружен, неверный формат или изображение не удалось обработать
  *         content:
  *           application/json:
  *             schema:
@@ -270,14 +723,23 @@ router.put('/', authenticateToken, validate(userSchemas.updateProfile), async (r
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/avatar', authenticateToken, uploadAvatar, handleUploadError, async (req, res) => {
+router.post('/avatar', authenticateToken, uploadAvatar, handleUploadError, verifyImageSignature, async (req, res) => {
+  let avatarUrl = null;
+
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'Файл не загружен' });
     }
 
     const userId = req.user.id;
-    const avatarUrl = `/uploads/${req.file.filename}`;
+
+    // Сохраняем уменьшенные копии без метаданных вместо исходного файла
+    try {
+      avatarUrl = await processAvatar(req.file.buffer, userId);
+    } catch (error) {
+      console.error('Ошибка обработки аватара:', error);
+      return res.status(400).json({ message: 'Не удалось обработать изображение' });
+    }
 
     // Получаем старый аватар для удаления
     const oldAvatarQuery = 'SELECT avatar_url FROM users WHERE id = $1';
@@ -294,28 +756,24 @@ router.post('/avatar', authenticateToken, uploadAvatar, handleUploadError, async
 
     const result = await db.query(updateQuery, [avatarUrl, userId]);
 
-    // Удаляем старый аватар если он существует
+    // Удаляем старый аватар со всеми вариантами
     if (oldAvatarUrl && oldAvatarUrl !== avatarUrl) {
-      const oldFilePath = path.join(process.cwd(), oldAvatarUrl);
-      fs.unlink(oldFilePath, (err) => {
-        if (err) console.error('Ошибка удаления старого аватара:', err);
-      });
+      removeAvatarFiles(oldAvatarUrl);
     }
 
     res.json({
       message: 'Аватар успешно загружен',
-      user: result.rows[0]
+      user: {
+        ...result.rows[0],
+        avatar_variants: avatarVariants(avatarUrl)
+      }
     });
 
   } catch (error) {
     console.error('Ошибка загрузки аватара:', error);
     
-    // Удаляем загруженный файл в случае ошибки
-    if (req.file) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Ошибка удаления файла:', err);
-      });
-    }
+    // Удаляем сохраненные варианты в случае ошибки
+    removeAvatarFiles(avatarUrl);
     
     res.status(500).json({ message: 'Ошибка сервера' });
   }
@@ -382,11 +840,8 @@ router.delete('/avatar', authenticateToken, async (req, res) => {
 
     const result = await db.query(updateQuery, [userId]);
 
-    // Удаляем файл аватара
-    const filePath = path.join(process.cwd(), avatarUrl);
-    fs.unlink(filePath, (err) => {
-      if (err) console.error('Ошибка удаления файла аватара:', err);
-    });
+    // Удаляем файлы аватара
+    removeAvatarFiles(avatarUrl);
 
     res.json({
       message: 'Аватар успешно удален',
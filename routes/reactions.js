@@ -1,7 +1,9 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { validate, reactionSchemas } = require('../middleware/validation');
+const { notify } = require('../utils/notifications');
+const { publishArticleReactions, publishCommentReactions } = require('../utils/events');
 
 const router = express.Router();
 
@@ -90,8 +92,8 @@ router.post('/article/:articleId', authenticateToken, validate(reactionSchemas.c
     const { reaction_id } = req.body;
     const userId = req.user.id;
     
-    // Проверяем, существует ли статья
-    const articleExists = await db.query('SELECT id FROM articles WHERE id = $1', [articleId]);
+    // Проверяем, существует ли опубликованная статья
+    const articleExists = await db.query("SELECT id, author_id FROM articles WHERE id = $1 AND status = 'published'", [articleId]);
     if (articleExists.rows.length === 0) {
       return res.status(404).json({ message: 'Статья не найдена' });
     }
@@ -131,6 +133,19 @@ router.post('/article/:articleId', authenticateToken, validate(reactionSchemas.c
     const result = await db.query(insertQuery, [articleId, userId, reaction_id]);
     const reaction = reactionExists.rows[0];
     
+    // Уведомляем автора только о новой реакции, не о смене
+    if (existingReaction.rows.length === 0) {
+      await notify({
+        userId: articleExists.rows[0].author_id,
+        actorId: userId,
+        type: 'reaction',
+        articleId: parseInt(articleId),
+        reactionId: reaction.id
+      });
+    }
+    
+    await publishArticleReactions(articleId);
+    
     res.status(201).json({
       message: existingReaction.rows.length > 0 ? 'Реакция успешно изменена' : 'Реакция успешно добавлена',
       reaction: {
@@ -225,6 +240,8 @@ router.delete('/article/:articleId', authenticateToken, validate(reactionSchemas
       return res.status(404).json({ message: 'Реакция не найдена' });
     }
     
+    await publishArticleReactions(articleId);
+    
     res.json({
       message: 'Реакция успешно удалена'
     });
@@ -235,12 +252,15 @@ router.delete('/article/:articleId', authenticateToken, validate(reactionSchemas
   }
 });
 
-router.get('/article/:articleId', async (req, res) => {
+router.get('/article/:articleId', optionalAuth, async (req, res) => {
   try {
     const articleId = req.params.articleId;
     
-    // Проверяем, существует ли статья
-    const articleExists = await db.query('SELECT id FROM articles WHERE id = $1', [articleId]);
+    // Реакции неопубликованных статей видны только автору статьи
+    const articleExists = await db.query(
+      "SELECT id FROM articles WHERE id = $1 AND (status = 'published' OR author_id = $2)",
+      [articleId, req.user ? req.user.id : null]
+    );
     if (articleExists.rows.length === 0) {
       return res.status(404).json({ message: 'Статья не найдена' });
     }
@@ -365,8 +385,14 @@ router.post('/comment/:commentId', authenticateToken, validate(reactionSchemas.c
     const { reaction_id } = req.body;
     const userId = req.user.id;
     
-    // Проверяем, существует ли комментарий
-    const commentExists = await db.query('SELECT id FROM comments WHERE id = $1', [commentId]);
+    // Реагировать можно на комментарии статей, которые видит пользователь
+    const commentQuery = `
+      SELECT c.id, c.article_id, c.author_id
+      FROM comments c
+      JOIN articles a ON c.article_id = a.id
+      WHERE c.id = $1 AND (a.status = 'published' OR a.author_id = $2)
+    `;
+    const commentExists = await db.query(commentQuery, [commentId, userId]);
     if (commentExists.rows.length === 0) {
       return res.status(404).json({ message: 'Комментарий не найден' });
     }
@@ -406,6 +432,20 @@ router.post('/comment/:commentId', authenticateToken, validate(reactionSchemas.c
     const result = await db.query(insertQuery, [commentId, userId, reaction_id]);
     const reaction = reactionExists.rows[0];
     
+    // Уведомляем автора только о новой реакции, не о смене
+    if (existingReaction.rows.length === 0) {
+      await notify({
+        userId: commentExists.rows[0].author_id,
+        actorId: userId,
+        type: 'reaction',
+        articleId: commentExists.rows[0].article_id,
+        commentId: parseInt(commentId),
+        reactionId: reaction.id
+      });
+    }
+    
+    await publishCommentReactions(commentExists.rows[0].article_id, commentId);
+    
     res.status(201).json({
       message: existingReaction.rows.length > 0 ? 'Реакция успешно изменена' : 'Реакция успешно добавлена',
       reaction: {
@@ -483,7 +523,7 @@ router.delete('/comment/:commentId', authenticateToken, validate(reactionSchemas
     const userId = req.user.id;
     
     // Проверяем, существует ли комментарий
-    const commentExists = await db.query('SELECT id FROM comments WHERE id = $1', [commentId]);
+    const commentExists = await db.query('SELECT id, article_id FROM comments WHERE id = $1', [commentId]);
     if (commentExists.rows.length === 0) {
       return res.status(404).json({ message: 'Комментарий не найден' });
     }
@@ -501,6 +541,8 @@ router.delete('/comment/:commentId', authenticateToken, validate(reactionSchemas
       return res.status(404).json({ message: 'Реакция не найдена' });
     }
     
+    await publishCommentReactions(commentExists.rows[0].article_id, commentId);
+    
     res.json({
       message: 'Реакция успешно удалена'
     });
@@ -512,12 +554,18 @@ router.delete('/comment/:commentId', authenticateToken, validate(reactionSchemas
 });
 
 // Получение реакций комментария
-router.get('/comment/:commentId', async (req, res) => {
+router.get('/comment/:commentId', optionalAuth, async (req, res) => {
   try {
     const commentId = req.params.commentId;
     
-    // Проверяем, существует ли комментарий
-    const commentExists = await db.query('SELECT id FROM comments WHERE id = $1', [commentId]);
+    // Реакции комментариев неопубликованных статей видны только автору статьи
+    const commentQuery = `
+      SELECT c.id
+      FROM comments c
+      JOIN articles a ON c.article_id = a.id
+      WHERE c.id = $1 AND (a.status = 'published' OR a.author_id = $2)
+    `;
+    const commentExists = await db.query(commentQuery, [commentId, req.user ? req.user.id : null]);
     if (commentExists.rows.length === 0) {
       return res.status(404).json({ message: 'Комментарий не найден' });
     }
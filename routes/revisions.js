@@ -0,0 +1,404 @@
+const express = require('express');
+const { diffLines } = require('diff');
+const db = require('../config/database');
+const { authenticateToken, checkAuthor } = require('../middleware/auth');
+const { ensureInitialRevision, saveRevision } = require('../utils/revisions');
+const { getArticleTags } = require('../utils/tags');
+const { syncArticleMedia } = require('../utils/media');
+
+// Маршруты монтируются на /api/articles/:id/revisions
+const router = express.Router({ mergeParams: true });
+
+// История статьи доступна только ее автору
+router.use(authenticateToken, checkAuthor('article'));
+
+const getRevision = async (articleId, revisionNumber) => {
+  const revisionQuery = `
+    SELECT 
+      ar.id,
+      ar.revision_number,
+      ar.title,
+      ar.content,
+      ar.content_format,
+      ar.author_id,
+      ar.created_at,
+      u.username as author_username
+    FROM article_revisions ar
+    LEFT JOIN users u ON ar.author_id = u.id
+    WHERE ar.article_id = $1 AND ar.revision_number = $2
+  `;
+
+  const result = await db.query(revisionQuery, [articleId, revisionNumber]);
+  return result.rows[0] || null;
+};
+
+/**
+ * @swagger
+ * /api/articles/{id}/revisions:
+ *   get:
+ *     summary: Получение истории ревизий статьи
+ *     tags: [Revisions]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID статьи
+ *     responses:
+ *       200:
+ *         description: Список ревизий (от новых к старым, без содержания)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Revision'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Нет прав доступа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Статья не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const articleId = req.params.id;
+
+    const revisionsQuery = `
+      SELECT 
+        ar.id,
+        ar.revision_number,
+        ar.title,
+        ar.content_format,
+        ar.author_id,
+        ar.created_at,
+        u.username as author_username
+      FROM article_revisions ar
+      LEFT JOIN users u ON ar.author_id = u.id
+      WHERE ar.article_id = $1
+      ORDER BY ar.revision_number DESC
+    `;
+
+    const result = await db.query(revisionsQuery, [articleId]);
+
+    res.json({
+      revisions: result.rows
+    });
+
+  } catch (error) {
+    console.error('Ошибка получения ревизий статьи:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/articles/{id}/revisions/diff:
+ *   get:
+ *     summary: Сравнение двух ревизий статьи
+ *     description: Построчное сравнение содержания, сравнение заголовков и формата двух ревизий.
+ *     tags: [Revisions]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID статьи
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Номер исходной ревизии
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Номер конечной ревизии
+ *     responses:
+ *       200:
+ *         description: Результат сравнения
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   $ref: '#/components/schemas/Revision'
+ *                 to:
+ *                   $ref: '#/components/schemas/Revision'
+ *                 title:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     changed:
+ *                       type: boolean
+ *                 content_format:
+ *                   type: object
+ *                   description: Сравнение формата содержания
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     changed:
+ *                       type: boolean
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [added, removed, unchanged]
+ *                       value:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                         description: Количество строк во фрагменте
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     added:
+ *                       type: integer
+ *                     removed:
+ *                       type: integer
+ *       400:
+ *         description: Не указаны номера ревизий
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ревизия не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/diff', async (req, res) => {
+  try {
+    const articleId = req.params.id;
+    const fromNumber = parseInt(req.query.from);
+    const toNumber = parseInt(req.query.to);
+
+    if (!fromNumber || !toNumber) {
+      return res.status(400).json({ message: 'Необходимо указать номера ревизий from и to' });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      getRevision(articleId, fromNumber),
+      getRevision(articleId, toNumber)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: 'Ревизия не найдена' });
+    }
+
+    const changes = diffLines(fromRevision.content, toRevision.content).map(part => ({
+      type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+      value: part.value,
+      count: part.count
+    }));
+
+    const { content: fromContent, ...fromMeta } = fromRevision;
+    const { content: toContent, ...toMeta } = toRevision;
+
+    res.json({
+      from: fromMeta,
+      to: toMeta,
+      title: {
+        from: fromRevision.title,
+        to: toRevision.title,
+        changed: fromRevision.title !== toRevision.title
+      },
+      content_format: {
+        from: fromRevision.content_format,
+        to: toRevision.content_format,
+        changed: fromRevision.content_format !== toRevision.content_format
+      },
+      changes,
+      stats: {
+        added: changes.filter(c => c.type === 'added').reduce((sum, c) => sum + c.count, 0),
+        removed: changes.filter(c => c.type === 'removed').reduce((sum, c) => sum + c.count, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка сравнения ревизий:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/articles/{id}/revisions/{rev}:
+ *   get:
+ *     summary: Получение конкретной ревизии статьи
+ *     tags: [Revisions]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID статьи
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Номер ревизии
+ *     responses:
+ *       200:
+ *         description: Ревизия получена успешно
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 revision:
+ *                   $ref: '#/components/schemas/Revision'
+ *       404:
+ *         description: Ревизия не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:rev', async (req, res) => {
+  try {
+    const revision = await getRevision(req.params.id, parseInt(req.params.rev) || 0);
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Ревизия не найдена' });
+    }
+
+    res.json({ revision });
+
+  } catch (error) {
+    console.error('Ошибка получения ревизии:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/articles/{id}/revisions/{rev}/restore:
+ *   post:
+ *     summary: Восстановление статьи из ревизии
+ *     description: Заголовок, содержание и формат статьи заменяются данными ревизии. Восстановление сохраняется как новая ревизия, история не теряется.
+ *     tags: [Revisions]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID статьи
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Номер ревизии
+ *     responses:
+ *       200:
+ *         description: Статья восстановлена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Статья восстановлена из ревизии"
+ *                 article:
+ *                   $ref: '#/components/schemas/Article'
+ *                 revision_number:
+ *                   type: integer
+ *                   description: Номер новой ревизии
+ *       404:
+ *         description: Ревизия не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:rev/restore', async (req, res) => {
+  try {
+    const articleId = req.params.id;
+    const revision = await getRevision(articleId, parseInt(req.params.rev) || 0);
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Ревизия не найдена' });
+    }
+
+    const result = await db.transaction(async (client) => {
+      await ensureInitialRevision(client, articleId);
+
+      const updateResult = await client.query(`
+        UPDATE articles 
+        SET title = $1, content = $2, content_format = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+        RETURNING id, title, content, content_format, author_id, status, published_at, created_at, updated_at
+      `, [revision.title, revision.content, revision.content_format, articleId]);
+
+      const newRevision = await saveRevision(client, {
+        articleId,
+        title: revision.title,
+        content: revision.content,
+        contentFormat: revision.content_format,
+        authorId: req.user.id
+      });
+
+      await syncArticleMedia(client, articleId, revision.content, updateResult.rows[0].author_id);
+
+      return {
+        article: { ...updateResult.rows[0], tags: await getArticleTags(client, articleId) },
+        revisionNumber: newRevision.revision_number
+      };
+    });
+
+    res.json({
+      message: 'Статья восстановлена из ревизии',
+      article: result.article,
+      revision_number: result.revisionNumber
+    });
+
+  } catch (error) {
+    console.error('Ошибка восстановления ревизии:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+module.exports = router;
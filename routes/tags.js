@@ -0,0 +1,95 @@
+const express = require('express');
+const db = require('../config/database');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: Получение тегов с количеством статей
+ *     description: Возвращает теги, у которых есть хотя бы одна опубликованная статья. Сортировка по популярности.
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Начало названия тега
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Максимальное количество тегов
+ *     responses:
+ *       200:
+ *         description: Список тегов получен успешно
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Повторный параметр search
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    // Повторный параметр (?search=a&search=b) приходит массивом
+    if (req.query.search !== undefined && typeof req.query.search !== 'string') {
+      return res.status(400).json({ message: 'Поиск принимает только одну строку' });
+    }
+
+    const search = (req.query.search || '').trim().toLowerCase();
+    const limit = parseInt(req.query.limit) || 50;
+    const validLimit = Math.min(Math.max(limit, 1), 100);
+
+    const tagsQuery = `
+      SELECT 
+        t.id,
+        t.name,
+        COUNT(a.id) as articles_count
+      FROM tags t
+      JOIN article_tags tg ON t.id = tg.tag_id
+      JOIN articles a ON tg.article_id = a.id AND a.status = 'published'
+      WHERE t.name LIKE $1
+      GROUP BY t.id, t.name
+      ORDER BY articles_count DESC, t.name
+      LIMIT $2
+    `;
+
+    // Экранируем спецсимволы LIKE в поисковой строке
+    const pattern = `${search.replace(/[\\%_]/g, '\\$&')}%`;
+    const result = await db.query(tagsQuery, [pattern, validLimit]);
+
+    res.json({
+      tags: result.rows.map(tag => ({
+        id: tag.id,
+        name: tag.name,
+        articles_count: parseInt(tag.articles_count)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Ошибка получения тегов:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,159 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { ROLES, authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
 const { validate, userSchemas } = require('../middleware/validation');
 const { uploadAvatar, handleUploadError } = require('../middleware/upload');
+const { notify } = require('../utils/notifications');
+const { avatarVariants } = require('../utils/images');
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Список пользователей с ролями (только для администраторов)
+ *     tags: [Users]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Количество пользователей на странице
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *         description: Фильтр по роли
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Поиск по имени пользователя или email
+ *     responses:
+ *       200:
+ *         description: Список пользователей получен успешно
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Нет прав доступа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const validLimit = Math.min(Math.max(limit, 1), 100);
+    const offset = (page - 1) * validLimit;
+    const { role, search } = req.query;
+
+    const conditions = [];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ message: 'Неверная роль' });
+      }
+      conditions.push(`role = $${paramIndex}`);
+      queryParams.push(role);
+      paramIndex++;
+    }
+
+    if (search) {
+      conditions.push(`(username ILIKE $${paramIndex} OR email ILIKE $${paramIndex})`);
+      queryParams.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const usersQuery = `
+      SELECT id, username, email, avatar_url, role, created_at
+      FROM users
+      ${whereClause}
+      ORDER BY id
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+    const countQuery = `SELECT COUNT(*) as total FROM users ${whereClause}`;
+
+    const [usersResult, countResult] = await Promise.all([
+      db.query(usersQuery, [...queryParams, validLimit, offset]),
+      db.query(countQuery, queryParams)
+    ]);
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / validLimit);
+
+    res.json({
+      users: usersResult.rows,
+      pagination: {
+        page,
+        limit: validLimit,
+        total: totalCount,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка получения списка пользователей:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -44,6 +191,12 @@ const router = express.Router();
  *                       type: string
  *                       format: uri
  *                       description: URL аватара
+ *                     avatar_variants:
+ *                       $ref: '#/components/schemas/AvatarVariants'
+ *                     role:
+ *                       type: string
+ *                       enum: [user, moderator, admin]
+ *                       description: Роль пользователя
  *                     created_at:
  *                       type: string
  *                       format: date-time
@@ -53,10 +206,19 @@ const router = express.Router();
  *                       properties:
  *                         articles_count:
  *                           type: integer
- *                           description: Количество статей пользователя
+ *                           description: Количество опубликованных статей пользователя
  *                         comments_count:
  *                           type: integer
  *                           description: Количество комментариев пользователя
+ *                         followers_count:
+ *                           type: integer
+ *                           description: Количество подписчиков
+ *                         following_count:
+ *                           type: integer
+ *                           description: Количество подписок
+ *                     is_following:
+ *                       type: boolean
+ *                       description: Подписан ли текущий пользователь на этого автора (false для неавторизованных)
  *       404:
  *         description: Пользователь не найден
  *         content:
@@ -76,7 +238,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -85,17 +247,20 @@ router.get('/:id', async (req, res) => {
         u.id, 
         u.username, 
         u.avatar_url, 
+        u.role,
         u.created_at,
-        COUNT(DISTINCT a.id) as articles_count,
-        COUNT(DISTINCT c.id) as comments_count
+        u.articles_count,
+        u.comments_count,
+        (SELECT COUNT(*) FROM follows f WHERE f.following_id = u.id) as followers_count,
+        (SELECT COUNT(*) FROM follows f WHERE f.follower_id = u.id) as following_count,
+        EXISTS (
+          SELECT 1 FROM follows f WHERE f.following_id = u.id AND f.follower_id = $2
+        ) as is_following
       FROM users u
-      LEFT JOIN articles a ON u.id = a.author_id
-      LEFT JOIN comments c ON u.id = c.author_id
       WHERE u.id = $1
-      GROUP BY u.id, u.username, u.avatar_url, u.created_at
     `;
 
-    const userResult = await db.query(userQuery, [userId]);
+    const userResult = await db.query(userQuery, [userId, req.user ? req.user.id : null]);
 
     if (userResult.rows.length === 0) {
       return res.status(404).json({ message: 'Пользователь не найден' });
@@ -108,11 +273,16 @@ router.get('/:id', async (req, res) => {
         id: user.id,
         username: user.username,
         avatar_url: user.avatar_url,
+        avatar_variants: avatarVariants(user.avatar_url),
+        role: user.role,
         created_at: user.created_at,
         statistics: {
-          articles_count: parseInt(user.articles_count),
-          comments_count: parseInt(user.comments_count)
-        }
+          articles_count: user.articles_count,
+          comments_count: user.comments_count,
+          followers_count: parseInt(user.followers_count),
+          following_count: parseInt(user.following_count)
+        },
+        is_following: user.is_following
       }
     });
 
@@ -122,4 +292,424 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Изменение роли пользователя (только для администраторов)
+ *     tags: [Users]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID пользователя
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *                 description: Новая роль пользователя
+ *     responses:
+ *       200:
+ *         description: Роль успешно изменена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Роль пользователя изменена"
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Ошибка валидации данных или попытка изменить собственную роль
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Нет прав доступа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Пользователь не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/role', authenticateToken, requireRole('admin'), validate(userSchemas.changeRole), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    // Администратор не может понизить сам себя и потерять доступ
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: 'Нельзя изменить собственную роль' });
+    }
+
+    const updateQuery = `
+      UPDATE users 
+      SET role = $1, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $2
+      RETURNING id, username, email, avatar_url, role, created_at
+    `;
+
+    const result = await db.query(updateQuery, [role, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Пользователь не найден' });
+    }
+
+    res.json({
+      message: 'Роль пользователя изменена',
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Ошибка изменения роли пользователя:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/follow:
+ *   post:
+ *     summary: Подписка на автора
+ *     tags: [Users]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID пользователя
+ *     responses:
+ *       201:
+ *         description: Подписка оформлена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Вы подписались на пользователя"
+ *                 followers_count:
+ *                   type: integer
+ *                   description: Количество подписчиков пользователя
+ *       400:
+ *         description: Попытка подписаться на себя или подписка уже оформлена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Пользователь не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Отписка от автора
+ *     tags: [Users]
+ *     security:
+ *       - authorization: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID пользователя
+ *     responses:
+ *       200:
+ *         description: Подписка отменена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Вы отписались от пользователя"
+ *                 followers_count:
+ *                   type: integer
+ *                   description: Количество подписчиков пользователя
+ *       401:
+ *         description: Неавторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Подписка не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: 'Нельзя подписаться на самого себя' });
+    }
+
+    const userResult = await db.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Пользователь не найден' });
+    }
+
+    const insertResult = await db.query(
+      'INSERT INTO follows (follower_id, following_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.user.id, userId]
+    );
+
+    if (insertResult.rowCount === 0) {
+      return res.status(400).json({ message: 'Вы уже подписаны на этого пользователя' });
+    }
+
+    await notify({ userId, actorId: req.user.id, type: 'follow' });
+
+    const countResult = await db.query('SELECT COUNT(*) as total FROM follows WHERE following_id = $1', [userId]);
+
+    res.status(201).json({
+      message: 'Вы подписались на пользователя',
+      followers_count: parseInt(countResult.rows[0].total)
+    });
+
+  } catch (error) {
+    console.error('Ошибка подписки на пользователя:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+router.delete('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const deleteResult = await db.query(
+      'DELETE FROM follows WHERE follower_id = $1 AND following_id = $2',
+      [req.user.id, userId]
+    );
+
+    if (deleteResult.rowCount === 0) {
+      return res.status(404).json({ message: 'Подписка не найдена' });
+    }
+
+    const countResult = await db.query('SELECT COUNT(*) as total FROM follows WHERE following_id = $1', [userId]);
+
+    res.json({
+      message: 'Вы отписались от пользователя',
+      followers_count: parseInt(countResult.rows[0].total)
+    });
+
+  } catch (error) {
+    console.error('Ошибка отписки от пользователя:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+});
+
+// Общий обработчик списков подписчиков и подписок:
+// joinColumn — чьи данные выводим, filterColumn — по какому полю ищем пользователя
+const followList = (joinColumn, filterColumn) => async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const validLimit = Math.min(Math.max(limit, 1), 100);
+    const offset = (page - 1) * validLimit;
+
+    const userResult = await db.query('SELECT id FROM users WHERE id = $1', [userId]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Пользователь не найден' });
+    }
+
+    const usersQuery = `
+      SELECT u.id, u.username, u.avatar_url, f.created_at as followed_at
+      FROM follows f
+      JOIN users u ON f.${joinColumn} = u.id
+      WHERE f.${filterColumn} = $1
+      ORDER BY f.created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const countQuery = `SELECT COUNT(*) as total FROM follows WHERE ${filterColumn} = $1`;
+
+    const [usersResult, countResult] = await Promise.all([
+      db.query(usersQuery, [userId, validLimit, offset]),
+      db.query(countQuery, [userId])
+    ]);
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / validLimit);
+
+    res.json({
+      users: usersResult.rows,
+      pagination: {
+        page,
+        limit: validLimit,
+        total: totalCount,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка получения подписок:', error);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/users/{id}/followers:
+ *   get:
+ *     summary: Подписчики пользователя
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID пользователя
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Количество пользователей на странице
+ *     responses:
+ *       200:
+ *         description: Список подписчиков
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FollowList'
+ *       404:
+ *         description: Пользователь не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/followers', followList('follower_id', 'following_id'));
+
+/**
+ * @swagger
+ * /api/users/{id}/following:
+ *   get:
+ *     summary: Подписки пользователя
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID пользователя
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Количество пользователей на странице
+ *     responses:
+ *       200:
+ *         description: Список авторов, на которых подписан пользователь
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FollowList'
+ *       404:
+ *         description: Пользователь не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/following', followList('following_id', 'follower_id'));
+
 module.exports = router; 
\ No newline at end of file
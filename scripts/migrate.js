@@ -0,0 +1,208 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+// Загружаем переменные окружения
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, '../database/migrations');
+
+// Файлы миграций: 001_name.up.sql и 001_name.down.sql, применяются по порядку номеров
+const MIGRATION_FILE_PATTERN = /^(\d+_[\w-]+)\.(up|down)\.sql$/;
+
+// Ключ advisory-блокировки: одновременно миграции выполняет только один процесс
+const MIGRATION_LOCK_ID = 724011;
+
+const createPool = () => new Pool({
+  host: process.env.DATABASE_HOST || 'localhost',
+  port: process.env.DATABASE_PORT || 5432,
+  database: process.env.DATABASE_NAME || 'articlehub',
+  user: process.env.DATABASE_USER || 'postgres',
+  password: process.env.DATABASE_PASSWORD || 'password',
+});
+
+// Список миграций из каталога, отсортированный по имени
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  fs.readdirSync(MIGRATIONS_DIR).forEach(file => {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+
+    if (!match) {
+      return;
+    }
+
+    const [, name, direction] = match;
+    const migration = migrations.get(name) || { name };
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(name, migration);
+  });
+
+  return [...migrations.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query('SELECT name, applied_at FROM schema_migrations ORDER BY name');
+  return result.rows;
+};
+
+// Выполняет callback под блокировкой миграций на отдельном соединении
+const withMigrationLock = async (pool, callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+// Каждая миграция выполняется в своей транзакции вместе с записью в schema_migrations
+const runInTransaction = async (client, sql, trackingQuery, trackingParams) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await client.query(trackingQuery, trackingParams);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+// Применяет все еще не выполненные миграции. Возвращает имена примененных.
+const migrateUp = async (pool) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map(row => row.name));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.name));
+
+    for (const migration of pending) {
+      if (!migration.up) {
+        throw new Error(`Нет файла ${migration.name}.up.sql`);
+      }
+
+      await runInTransaction(
+        client,
+        fs.readFileSync(migration.up, 'utf8'),
+        'INSERT INTO schema_migrations (name) VALUES ($1)',
+        [migration.name]
+      );
+      console.log(`  ⬆️  ${migration.name}`);
+    }
+
+    return pending.map(migration => migration.name);
+  });
+};
+
+// Откатывает последние steps примененных миграций. Возвращает имена откаченных.
+const migrateDown = async (pool, steps = 1) => {
+  return withMigrationLock(pool, async (client) => {
+    const migrations = new Map(loadMigrations().map(migration => [migration.name, migration]));
+    const toRollback = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+
+    for (const { name } of toRollback) {
+      const migration = migrations.get(name);
+
+      if (!migration || !migration.down) {
+        throw new Error(`Нет файла ${name}.down.sql`);
+      }
+
+      await runInTransaction(
+        client,
+        fs.readFileSync(migration.down, 'utf8'),
+        'DELETE FROM schema_migrations WHERE name = $1',
+        [name]
+      );
+      console.log(`  ⬇️  ${name}`);
+    }
+
+    return toRollback.map(row => row.name);
+  });
+};
+
+// Состояние всех миграций: примененные с датой и ожидающие
+const migrationStatus = async (pool) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Map((await getAppliedMigrations(client)).map(row => [row.name, row.applied_at]));
+    const available = new Set(loadMigrations().map(migration => migration.name));
+    const names = new Set([...available, ...applied.keys()]);
+
+    return [...names].sort().map(name => ({
+      name,
+      applied_at: applied.get(name) || null,
+      missing: !available.has(name)
+    }));
+  });
+};
+
+const COMMANDS = {
+  up: async (pool) => {
+    const applied = await migrateUp(pool);
+    console.log(applied.length > 0
+      ? `✅ Применено миграций: ${applied.length}`
+      : '✅ Схема базы данных актуальна');
+  },
+
+  rollback: async (pool, args) => {
+    const steps = parseInt(args[0]) || 1;
+    const rolledBack = await migrateDown(pool, steps);
+    console.log(rolledBack.length > 0
+      ? `✅ Откачено миграций: ${rolledBack.length}`
+      : 'Нет примененных миграций');
+  },
+
+  status: async (pool) => {
+    const migrations = await migrationStatus(pool);
+
+    migrations.forEach(({ name, applied_at, missing }) => {
+      const state = applied_at ? `применена ${applied_at.toISOString()}` : 'ожидает';
+      console.log(`  ${applied_at ? '✅' : '⏳'} ${name} — ${state}${missing ? ' (файл не найден)' : ''}`);
+    });
+
+    const pending = migrations.filter(migration => !migration.applied_at).length;
+    console.log(`Всего: ${migrations.length}, ожидают применения: ${pending}`);
+  }
+};
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  if (!COMMANDS[command]) {
+    console.error('Использование: node scripts/migrate.js <up|rollback [шаги]|status>');
+    process.exit(1);
+  }
+
+  const pool = createPool();
+
+  try {
+    await COMMANDS[command](pool, args);
+  } catch (error) {
+    console.error('❌ Ошибка миграции:');
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  migrationStatus
+};
@@ -0,0 +1,107 @@
+const { Pool } = require('pg');
+
+// Загружаем переменные окружения
+require('dotenv').config();
+
+// Счетчики-колонки: count вычисляет фактическое значение для строки t
+const COUNTER_COLUMNS = [
+  { table: 'articles', column: 'comments_count', count: 'SELECT COUNT(*) FROM comments c WHERE c.article_id = t.id' },
+  { table: 'articles', column: 'reactions_count', count: 'SELECT COUNT(*) FROM article_reactions ar WHERE ar.article_id = t.id' },
+  { table: 'comments', column: 'replies_count', count: 'SELECT COUNT(*) FROM comments r WHERE r.parent_id = t.id' },
+  { table: 'comments', column: 'reactions_count', count: 'SELECT COUNT(*) FROM comment_reactions cr WHERE cr.comment_id = t.id' },
+  { table: 'users', column: 'articles_count', count: "SELECT COUNT(*) FROM articles a WHERE a.author_id = t.id AND a.status = 'published'" },
+  { table: 'users', column: 'comments_count', count: 'SELECT COUNT(*) FROM comments c WHERE c.author_id = t.id' }
+];
+
+// Счетчики реакций по типам
+const REACTION_COUNTS = [
+  { table: 'article_reaction_counts', source: 'article_reactions', column: 'article_id' },
+  { table: 'comment_reaction_counts', source: 'comment_reactions', column: 'comment_id' }
+];
+
+const repairColumn = async (client, { table, column, count }) => {
+  const result = await client.query(`
+    WITH actual AS (
+      SELECT t.id, (${count})::int as value FROM ${table} t
+    )
+    UPDATE ${table} t SET ${column} = actual.value
+    FROM actual
+    WHERE t.id = actual.id AND t.${column} <> actual.value
+  `);
+
+  return result.rowCount;
+};
+
+// Лишние и неверные записи удаляются, недостающие добавляются заново
+const repairReactionCounts = async (client, { table, source, column }) => {
+  const actual = `
+    SELECT ${column}, reaction_id, COUNT(*)::int as count
+    FROM ${source}
+    GROUP BY ${column}, reaction_id
+  `;
+
+  const removed = await client.query(`
+    DELETE FROM ${table} rc
+    WHERE NOT EXISTS (
+      SELECT 1 FROM (${actual}) actual
+      WHERE actual.${column} = rc.${column} AND actual.reaction_id = rc.reaction_id AND actual.count = rc.count
+    )
+    RETURNING ${column}, reaction_id
+  `);
+
+  const inserted = await client.query(`
+    INSERT INTO ${table} (${column}, reaction_id, count)
+    ${actual}
+    ON CONFLICT (${column}, reaction_id) DO NOTHING
+    RETURNING ${column}, reaction_id
+  `);
+
+  const keys = new Set([...removed.rows, ...inserted.rows].map(row => `${row[column]}:${row.reaction_id}`));
+  return keys.size;
+};
+
+// Пересчет денормализованных счетчиков по фактическим данным.
+// Счетчики поддерживаются триггерами; команда нужна после ручных правок данных
+// или отключения триггеров. На время пересчета запись в исходные таблицы блокируется.
+async function repairCounters() {
+  const pool = new Pool({
+    host: process.env.DATABASE_HOST || 'localhost',
+    port: process.env.DATABASE_PORT || 5432,
+    database: process.env.DATABASE_NAME || 'articlehub',
+    user: process.env.DATABASE_USER || 'postgres',
+    password: process.env.DATABASE_PASSWORD || 'password',
+  });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    // Пересчет не должен менять updated_at (см. update_updated_at_column в database/migrations)
+    await client.query("SET LOCAL articlehub.counters_only = 'on'");
+    await client.query('LOCK TABLE articles, comments, article_reactions, comment_reactions IN SHARE MODE');
+
+    for (const counter of COUNTER_COLUMNS) {
+      const fixed = await repairColumn(client, counter);
+      console.log(`  ${counter.table}.${counter.column}: исправлено ${fixed}`);
+    }
+
+    for (const counter of REACTION_COUNTS) {
+      const fixed = await repairReactionCounts(client, counter);
+      console.log(`  ${counter.table}: исправлено ${fixed}`);
+    }
+
+    await client.query('COMMIT');
+    console.log('✅ Счетчики пересчитаны');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Ошибка при пересчете счетчиков:');
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+repairCounters();
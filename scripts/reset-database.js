@@ -0,0 +1,90 @@
+const { Pool } = require('pg');
+const { removeFiles } = require('../utils/storage');
+const { removeAvatarFiles } = require('../utils/images');
+
+// Загружаем переменные окружения
+require('dotenv').config();
+
+// Таблицы, которые не очищаются: служебная таблица миграций
+// и справочник реакций, заполняемый самой миграцией
+const PRESERVED_TABLES = ['schema_migrations', 'reactions'];
+
+// Файлы в хранилище, на которые ссылаются очищаемые таблицы:
+// загруженные медиафайлы и аватары пользователей
+const findStoredFiles = async (pool, tables) => {
+  const media = tables.includes('media')
+    ? await pool.query('SELECT filename FROM media')
+    : { rows: [] };
+  const avatars = tables.includes('users')
+    ? await pool.query('SELECT avatar_url FROM users WHERE avatar_url IS NOT NULL')
+    : { rows: [] };
+
+  return {
+    mediaFiles: media.rows.map(row => row.filename),
+    avatarUrls: avatars.rows.map(row => row.avatar_url)
+  };
+};
+
+// Очистка всех данных приложения с обнулением последовательностей id.
+// Схема и справочники остаются, повторно применять миграции не нужно.
+// Файлы медиатеки и аватаров удаляются из хранилища после очистки таблиц;
+// ошибки удаления только логируются.
+// Возвращает имена очищенных таблиц.
+const resetDatabase = async (pool) => {
+  const result = await pool.query(`
+    SELECT tablename
+    FROM pg_tables
+    WHERE schemaname = 'public' AND NOT (tablename = ANY($1::text[]))
+    ORDER BY tablename
+  `, [PRESERVED_TABLES]);
+
+  const tables = result.rows.map(row => row.tablename);
+
+  if (tables.length > 0) {
+    const { mediaFiles, avatarUrls } = await findStoredFiles(pool, tables);
+
+    await pool.query(`TRUNCATE ${tables.map(table => `"${table}"`).join(', ')} RESTART IDENTITY CASCADE`);
+
+    await Promise.all([
+      removeFiles(mediaFiles),
+      ...avatarUrls.map(removeAvatarFiles)
+    ]);
+  }
+
+  return tables;
+};
+
+async function main() {
+  if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+    console.error('❌ NODE_ENV=production: очистка базы данных отменена. Для запуска добавьте --force');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    host: process.env.DATABASE_HOST || 'localhost',
+    port: process.env.DATABASE_PORT || 5432,
+    database: process.env.DATABASE_NAME || 'articlehub',
+    user: process.env.DATABASE_USER || 'postgres',
+    password: process.env.DATABASE_PASSWORD || 'password',
+  });
+
+  try {
+    const tables = await resetDatabase(pool);
+    console.log(`✅ Очищено таблиц: ${tables.length}`);
+
+  } catch (error) {
+    console.error('❌ Ошибка при очистке базы данных:');
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  resetDatabase
+};
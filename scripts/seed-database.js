@@ -0,0 +1,447 @@
+const { Pool } = require('pg');
+const { hashPassword } = require('../utils/password');
+const { MAX_COMMENT_DEPTH } = require('../utils/comments');
+const { resetDatabase } = require('./reset-database');
+
+// Загружаем переменные окружения
+require('dotenv').config();
+
+const DEFAULT_OPTIONS = {
+  users: 20,
+  articles: 100,
+  comments: 500,
+  reactions: 1000,
+  commentReactions: 1000,
+  seed: 1
+};
+
+const OPTION_FLAGS = {
+  '--users': 'users',
+  '--articles': 'articles',
+  '--comments': 'comments',
+  '--reactions': 'reactions',
+  '--comment-reactions': 'commentReactions',
+  '--seed': 'seed'
+};
+
+// Пароль всех созданных пользователей
+const SEED_PASSWORD = 'password123';
+
+// Даты создания статей распределяются по последним PERIOD_DAYS дням
+const PERIOD_DAYS = 90;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Количество строк в одном INSERT
+const BATCH_SIZE = 1000;
+
+const WORDS = [
+  'статья', 'данные', 'сервер', 'запрос', 'индекс', 'таблица', 'функция', 'модуль', 'проект', 'команда',
+  'релиз', 'ошибка', 'тест', 'кэш', 'очередь', 'поток', 'событие', 'клиент', 'интерфейс', 'схема',
+  'быстрый', 'новый', 'простой', 'надежный', 'удобный', 'сложный', 'главный', 'последний', 'общий', 'отдельный',
+  'работает', 'хранит', 'проверяет', 'обновляет', 'создает', 'удаляет', 'читает', 'отправляет', 'ускоряет', 'меняет',
+  'всегда', 'иногда', 'снова', 'теперь', 'потом', 'быстро', 'аккуратно', 'вместе', 'заранее', 'почти'
+];
+
+const TITLE_TOPICS = [
+  'Node.js', 'PostgreSQL', 'Express', 'JavaScript', 'Docker', 'REST API', 'индексы', 'транзакции',
+  'кэширование', 'тестирование', 'миграции', 'очереди', 'логирование', 'безопасность', 'производительность'
+];
+
+const TITLE_TEMPLATES = [
+  (topic) => `Как мы ускорили ${topic}`,
+  (topic) => `${topic}: практическое руководство`,
+  (topic) => `Пять ошибок при работе с ${topic}`,
+  (topic) => `Заметки о ${topic}`,
+  (topic) => `${topic} в продакшене`,
+  (topic) => `Почему мы выбрали ${topic}`
+];
+
+const TAGS = [
+  'javascript', 'nodejs', 'postgresql', 'express', 'docker', 'devops', 'backend',
+  'frontend', 'testing', 'performance', 'security', 'architecture', 'tutorial', 'news'
+];
+
+// Генератор псевдослучайных чисел (mulberry32): один и тот же seed
+// всегда дает одинаковые данные
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (items) => items[Math.floor(next() * items.length)];
+
+  // count различных элементов в случайном порядке
+  const sample = (items, count) => {
+    const copy = [...items];
+    const size = Math.min(count, copy.length);
+
+    for (let i = 0; i < size; i++) {
+      const j = int(i, copy.length - 1);
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+
+    return copy.slice(0, size);
+  };
+
+  return { next, int, pick, sample };
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const sentence = (random) => {
+  const words = Array.from({ length: random.int(5, 12) }, () => random.pick(WORDS));
+  return capitalize(words.join(' ')) + '.';
+};
+
+const paragraph = (random) => {
+  return Array.from({ length: random.int(2, 5) }, () => sentence(random)).join(' ');
+};
+
+const articleContent = (random, format) => {
+  const paragraphs = Array.from({ length: random.int(3, 6) }, () => paragraph(random));
+
+  if (format === 'plain') {
+    return paragraphs.join('\n\n');
+  }
+
+  const list = Array.from({ length: random.int(2, 4) }, () => `- ${sentence(random)}`).join('\n');
+  return [`## ${sentence(random).slice(0, -1)}`, ...paragraphs.slice(0, 2), list, ...paragraphs.slice(2)].join('\n\n');
+};
+
+// Разбор аргументов вида --users 50 или --users=50
+const parseOptions = (args) => {
+  const options = { ...DEFAULT_OPTIONS, reset: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split('=');
+
+    if (flag === '--reset') {
+      options.reset = true;
+      continue;
+    }
+
+    const key = OPTION_FLAGS[flag];
+
+    if (!key) {
+      throw new Error(`Неизвестный параметр: ${flag}`);
+    }
+
+    const value = Number(inlineValue !== undefined ? inlineValue : args[++i]);
+
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Параметр ${flag} должен быть неотрицательным целым числом`);
+    }
+
+    options[key] = value;
+  }
+
+  return options;
+};
+
+// Резервирует id в последовательности таблицы, чтобы связать записи до вставки
+const reserveIds = async (client, table, count) => {
+  const result = await client.query(
+    "SELECT nextval(pg_get_serial_sequence($1, 'id'))::int as id FROM generate_series(1, $2)",
+    [table, count]
+  );
+
+  return result.rows.map(row => row.id);
+};
+
+// Вставка колонок-массивов пачками по BATCH_SIZE строк
+const insertColumns = async (client, sql, columns) => {
+  const total = columns[0].length;
+
+  for (let start = 0; start < total; start += BATCH_SIZE) {
+    await client.query(sql, columns.map(values => values.slice(start, start + BATCH_SIZE)));
+  }
+};
+
+// Случайные уникальные пары «объект — пользователь — реакция».
+// Если возможных сочетаний меньше, чем запрошено, создается сколько получится.
+const generateReactions = (random, targets, userIds, reactionIds, count) => {
+  const reactions = new Map();
+  const maxAttempts = count * 5;
+
+  for (let attempt = 0; attempt < maxAttempts && reactions.size < count && targets.length > 0; attempt++) {
+    const reaction = [random.pick(targets).id, random.pick(userIds), random.pick(reactionIds)];
+    reactions.set(reaction.join(':'), reaction);
+  }
+
+  return [...reactions.values()];
+};
+
+const seedUsers = async (client, random, count) => {
+  const ids = await reserveIds(client, 'users', count);
+  const passwordHash = await hashPassword(SEED_PASSWORD);
+
+  // Первый пользователь — администратор
+  const users = ids.map((id, index) => ({
+    id,
+    username: `user${index + 1}`,
+    email: `user${index + 1}@example.com`,
+    role: index === 0 ? 'admin' : 'user',
+    age: random.int(PERIOD_DAYS * DAY_SECONDS, (PERIOD_DAYS + 30) * DAY_SECONDS)
+  }));
+
+  await insertColumns(client, `
+    INSERT INTO users (id, username, email, password_hash, role, email_verified, created_at, updated_at)
+    SELECT u.id, u.username, u.email, u.password_hash, u.role, TRUE,
+      CURRENT_TIMESTAMP - u.age * INTERVAL '1 second',
+      CURRENT_TIMESTAMP - u.age * INTERVAL '1 second'
+    FROM unnest($1::int[], $2::varchar[], $3::varchar[], $4::varchar[], $5::varchar[], $6::int[])
+      as u(id, username, email, password_hash, role, age)
+  `, [
+    users.map(user => user.id),
+    users.map(user => user.username),
+    users.map(user => user.email),
+    users.map(() => passwordHash),
+    users.map(user => user.role),
+    users.map(user => user.age)
+  ]);
+
+  return users;
+};
+
+const seedArticles = async (client, random, count, users) => {
+  const ids = await reserveIds(client, 'articles', count);
+
+  const articles = ids.map(id => {
+    const roll = random.next();
+    const format = random.next() < 0.5 ? 'markdown' : 'plain';
+
+    return {
+      id,
+      title: random.pick(TITLE_TEMPLATES)(random.pick(TITLE_TOPICS)),
+      content: articleContent(random, format),
+      format,
+      authorId: random.pick(users).id,
+      status: roll < 0.85 ? 'published' : roll < 0.95 ? 'draft' : 'archived',
+      tags: random.sample(TAGS, random.int(0, 3)),
+      age: random.int(0, PERIOD_DAYS * DAY_SECONDS)
+    };
+  });
+
+  await insertColumns(client, `
+    INSERT INTO articles (id, title, content, content_format, author_id, status, published_at, created_at, updated_at)
+    SELECT a.id, a.title, a.content, a.format, a.author_id, a.status,
+      CASE WHEN a.status = 'published' THEN CURRENT_TIMESTAMP - a.age * INTERVAL '1 second' END,
+      CURRENT_TIMESTAMP - a.age * INTERVAL '1 second',
+      CURRENT_TIMESTAMP - a.age * INTERVAL '1 second'
+    FROM unnest($1::int[], $2::varchar[], $3::text[], $4::varchar[], $5::int[], $6::varchar[], $7::int[])
+      as a(id, title, content, format, author_id, status, age)
+  `, [
+    articles.map(article => article.id),
+    articles.map(article => article.title),
+    articles.map(article => article.content),
+    articles.map(article => article.format),
+    articles.map(article => article.authorId),
+    articles.map(article => article.status),
+    articles.map(article => article.age)
+  ]);
+
+  // Первая ревизия, как при создании статьи через API
+  await insertColumns(client, `
+    INSERT INTO article_revisions (article_id, revision_number, title, content, content_format, author_id, created_at)
+    SELECT a.id, 1, a.title, a.content, a.content_format, a.author_id, a.created_at
+    FROM articles a
+    WHERE a.id = ANY($1::int[])
+  `, [ids]);
+
+  await client.query('INSERT INTO tags (name) SELECT unnest($1::varchar[]) ON CONFLICT (name) DO NOTHING', [TAGS]);
+
+  const articleTags = articles.flatMap(article => article.tags.map(tag => [article.id, tag]));
+
+  await insertColumns(client, `
+    INSERT INTO article_tags (article_id, tag_id)
+    SELECT at.article_id, t.id
+    FROM unnest($1::int[], $2::varchar[]) as at(article_id, name)
+    JOIN tags t ON t.name = at.name
+  `, [articleTags.map(([articleId]) => articleId), articleTags.map(([, tag]) => tag)]);
+
+  return articles;
+};
+
+// Комментарии только к опубликованным статьям; примерно треть — ответы
+// на уже созданные комментарии той же статьи
+const seedComments = async (client, random, count, users, articles) => {
+  const published = articles.filter(article => article.status === 'published');
+
+  if (published.length === 0 || count === 0) {
+    return [];
+  }
+
+  const ids = await reserveIds(client, 'comments', count);
+  const byArticle = new Map();
+
+  const comments = ids.map(id => {
+    const article = random.pick(published);
+    const siblings = byArticle.get(article.id) || [];
+    const parents = siblings.filter(comment => comment.depth < MAX_COMMENT_DEPTH);
+    const parent = parents.length > 0 && random.next() < 0.35 ? random.pick(parents) : null;
+
+    const comment = {
+      id,
+      articleId: article.id,
+      authorId: random.pick(users).id,
+      parentId: parent ? parent.id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      content: Array.from({ length: random.int(1, 3) }, () => sentence(random)).join(' '),
+      // Ответ всегда новее родителя, комментарий — новее статьи
+      age: random.int(0, parent ? parent.age : article.age)
+    };
+
+    byArticle.set(article.id, [...siblings, comment]);
+    return comment;
+  });
+
+  await insertColumns(client, `
+    INSERT INTO comments (id, content, article_id, author_id, parent_id, depth, created_at, updated_at)
+    SELECT c.id, c.content, c.article_id, c.author_id, c.parent_id, c.depth,
+      CURRENT_TIMESTAMP - c.age * INTERVAL '1 second',
+      CURRENT_TIMESTAMP - c.age * INTERVAL '1 second'
+    FROM unnest($1::int[], $2::text[], $3::int[], $4::int[], $5::int[], $6::int[], $7::int[])
+      as c(id, content, article_id, author_id, parent_id, depth, age)
+  `, [
+    comments.map(comment => comment.id),
+    comments.map(comment => comment.content),
+    comments.map(comment => comment.articleId),
+    comments.map(comment => comment.authorId),
+    comments.map(comment => comment.parentId),
+    comments.map(comment => comment.depth),
+    comments.map(comment => comment.age)
+  ]);
+
+  return comments;
+};
+
+const seedReactions = async (client, random, { table, column, targets, users, count }) => {
+  const reactionsResult = await client.query('SELECT id FROM reactions ORDER BY id');
+  const reactionIds = reactionsResult.rows.map(row => row.id);
+
+  const reactions = generateReactions(random, targets, users.map(user => user.id), reactionIds, count);
+
+  await insertColumns(client, `
+    INSERT INTO ${table} (${column}, user_id, reaction_id)
+    SELECT * FROM unnest($1::int[], $2::int[], $3::int[])
+    ON CONFLICT DO NOTHING
+  `, [0, 1, 2].map(index => reactions.map(reaction => reaction[index])));
+
+  return reactions;
+};
+
+// Заполнение базы тестовыми данными. Все записи создаются в одной транзакции,
+// счетчики обновляются триггерами. Возвращает количество созданных записей.
+const seedDatabase = async (pool, options = {}) => {
+  const { users, articles, comments, reactions, commentReactions, seed } = { ...DEFAULT_OPTIONS, ...options };
+  const random = createRandom(seed);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const createdUsers = await seedUsers(client, random, Math.max(users, 1));
+    const createdArticles = await seedArticles(client, random, articles, createdUsers);
+    const createdComments = await seedComments(client, random, comments, createdUsers, createdArticles);
+
+    const articleReactions = await seedReactions(client, random, {
+      table: 'article_reactions',
+      column: 'article_id',
+      targets: createdArticles.filter(article => article.status === 'published'),
+      users: createdUsers,
+      count: reactions
+    });
+
+    const commentReactionsCreated = await seedReactions(client, random, {
+      table: 'comment_reactions',
+      column: 'comment_id',
+      targets: createdComments,
+      users: createdUsers,
+      count: commentReactions
+    });
+
+    await client.query('COMMIT');
+
+    return {
+      users: createdUsers.length,
+      articles: createdArticles.length,
+      comments: createdComments.length,
+      reactions: articleReactions.length,
+      commentReactions: commentReactionsCreated.length
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+async function main() {
+  let options;
+
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Использование: npm run seed-db -- [--users N] [--articles N] [--comments N] [--reactions N] [--comment-reactions N] [--seed N] [--reset]');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    host: process.env.DATABASE_HOST || 'localhost',
+    port: process.env.DATABASE_PORT || 5432,
+    database: process.env.DATABASE_NAME || 'articlehub',
+    user: process.env.DATABASE_USER || 'postgres',
+    password: process.env.DATABASE_PASSWORD || 'password',
+  });
+
+  try {
+    if (options.reset) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('NODE_ENV=production: очистка базы данных при заполнении запрещена');
+      }
+
+      await resetDatabase(pool);
+      console.log('🧹 База данных очищена');
+    }
+
+    const created = await seedDatabase(pool, options);
+
+    console.log('✅ Тестовые данные созданы:');
+    console.log(`  - пользователей: ${created.users}`);
+    console.log(`  - статей: ${created.articles}`);
+    console.log(`  - комментариев: ${created.comments}`);
+    console.log(`  - реакций на статьи: ${created.reactions}`);
+    console.log(`  - реакций на комментарии: ${created.commentReactions}`);
+    console.log(`🔑 Вход: user1@example.com (администратор) … user${created.users}@example.com, пароль ${SEED_PASSWORD}`);
+
+  } catch (error) {
+    console.error('❌ Ошибка при заполнении базы данных:');
+    console.error(error.message);
+
+    // Нарушение уникальности: тестовые пользователи уже созданы
+    if (error.code === '23505') {
+      console.error('База данных уже содержит данные. Запустите с параметром --reset, чтобы очистить ее перед заполнением');
+    }
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  seedDatabase,
+  SEED_PASSWORD
+};
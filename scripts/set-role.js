@@ -0,0 +1,49 @@
+const { Pool } = require('pg');
+
+// Загружаем переменные окружения
+require('dotenv').config();
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Назначение роли пользователю по email.
+// Нужен для создания первого администратора, дальше роли меняются через API.
+async function setRole() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error('Использование: npm run set-role -- <email> <user|moderator|admin>');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    host: process.env.DATABASE_HOST || 'localhost',
+    port: process.env.DATABASE_PORT || 5432,
+    database: process.env.DATABASE_NAME || 'articlehub',
+    user: process.env.DATABASE_USER || 'postgres',
+    password: process.env.DATABASE_PASSWORD || 'password',
+  });
+
+  try {
+    const result = await pool.query(
+      'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE email = $2 RETURNING id, username',
+      [role, email]
+    );
+
+    if (result.rows.length === 0) {
+      console.error(`❌ Пользователь с email ${email} не найден`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ Пользователю ${result.rows[0].username} (id ${result.rows[0].id}) назначена роль ${role}`);
+
+  } catch (error) {
+    console.error('❌ Ошибка при назначении роли:');
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+setRole();
@@ -1,6 +1,5 @@
 const { Pool } = require('pg');
-const fs = require('fs');
-const path = require('path');
+const { migrateUp } = require('./migrate');
 
 // Загружаем переменные окружения
 require('dotenv').config();
@@ -21,13 +20,10 @@ async function setupDatabase() {
     const client = await pool.connect();
     console.log('✅ Подключение к базе данных установлено');
     
-    // Читаем SQL-скрипт
-    const sqlScript = fs.readFileSync(path.join(__dirname, '../database/schema.sql'), 'utf8');
+    console.log('Применение миграций...');
     
-    console.log('Создание таблиц...');
-    
-    // Выполняем SQL-скрипт
-    await client.query(sqlScript);
+    // Схема создается и обновляется миграциями из database/migrations
+    await migrateUp(pool);
     
     console.log('✅ Таблицы успешно созданы');
     
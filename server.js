@@ -13,7 +13,8 @@ app.use(helmet());
 // Ограничение запросов
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 минут
-  max: 100 // максимум 100 запросов на IP за 15 минут
+  max: 100, // максимум 100 запросов на IP за 15 минут
+  skip: () => process.env.NODE_ENV === 'test' // интеграционные тесты отправляют больше запросов
 });
 app.use(limiter);
 
@@ -27,8 +28,10 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Статические файлы
-app.use('/uploads', express.static('uploads'));
+// Статические файлы (при хранении на локальном диске)
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/uploads', express.static(process.env.UPLOAD_PATH || 'uploads'));
+}
 
 // Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
@@ -77,10 +80,16 @@ app.get('/', (req, res) => {
 // Подключение маршрутов
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/articles/:id/revisions', require('./routes/revisions'));
 app.use('/api/articles', require('./routes/articles'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/feed', require('./routes/feed'));
 app.use('/api/comments', require('./routes/comments'));
 app.use('/api/reactions', require('./routes/reactions'));
 app.use('/api/profile', require('./routes/profile'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/media', require('./routes/media'));
 
 // Обработка 404
 app.use('*', (req, res) => {
@@ -98,9 +107,12 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
-  console.log(`Сервер запущен на порту ${PORT}`);
-  console.log(`Режим: ${process.env.NODE_ENV || 'development'}`);
-});
+// Сервер запускается только при прямом запуске файла; тесты импортируют app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Сервер запущен на порту ${PORT}`);
+    console.log(`Режим: ${process.env.NODE_ENV || 'development'}`);
+  });
+}
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,394 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle
+} = require('./helpers');
+
+setupTestDatabase();
+
+describe('GET /api/articles', () => {
+  it('возвращает только опубликованные статьи с пагинацией', async () => {
+    const author = await createUser();
+    await createArticle(author, { title: 'Первая статья' });
+    await createArticle(author, { title: 'Вторая статья' });
+    await createArticle(author, { title: 'Черновик статьи', status: 'draft' });
+
+    const response = await request().get('/api/articles').query({ limit: 1 });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.articles.length, 1);
+    assert.equal(response.body.articles[0].title, 'Вторая статья');
+    assert.equal(response.body.pagination.total, 2);
+    assert.equal(response.body.pagination.hasNext, true);
+  });
+
+  it('листает страницы по курсору без пропусков и повторов', async () => {
+    const author = await createUser();
+    for (let i = 1; i <= 5; i++) {
+      await createArticle(author, { title: `Статья номер ${i}` });
+    }
+
+    const titles = [];
+    let cursor;
+
+    do {
+      const response = await request().get('/api/articles').query(cursor ? { limit: 2, cursor } : { limit: 2 });
+      assert.equal(response.status, 200);
+      titles.push(...response.body.articles.map(article => article.title));
+      cursor = response.body.pagination.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(titles, [5, 4, 3, 2, 1].map(i => `Статья номер ${i}`));
+  });
+
+  it('отклоняет поврежденный курсор и неизвестный статус', async () => {
+    const badCursor = await request().get('/api/articles').query({ cursor: 'not-a-cursor' });
+    const badStatus = await request().get('/api/articles').query({ status: 'deleted' });
+
+    assert.equal(badCursor.status, 400);
+    assert.equal(badCursor.body.message, 'Неверный курсор');
+    assert.equal(badStatus.status, 400);
+    assert.equal(badStatus.body.message, 'Неверный статус статьи');
+  });
+
+  it('показывает черновики только их автору', async () => {
+    const author = await createUser();
+    const other = await createUser();
+    await createArticle(author, { title: 'Черновик статьи', status: 'draft' });
+
+    const anonymous = await request().get('/api/articles').query({ status: 'draft' });
+    const own = await request().get('/api/articles').query({ status: 'draft' }).set(authHeader(author));
+    const foreign = await request().get('/api/articles').query({ status: 'draft' }).set(authHeader(other));
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(own.body.articles.length, 1);
+    assert.equal(foreign.body.articles.length, 0);
+  });
+
+  it('фильтрует по тегу и ищет по тексту', async () => {
+    const author = await createUser();
+    await createArticle(author, { title: 'Индексы в PostgreSQL', tags: ['Databases'] });
+    await createArticle(author, { title: 'Маршруты в Express', tags: ['nodejs'] });
+
+    const byTag = await request().get('/api/articles').query({ tag: 'databases' });
+    const bySearch = await request().get('/api/articles').query({ search: 'express' });
+
+    assert.deepEqual(byTag.body.articles.map(article => article.title), ['Индексы в PostgreSQL']);
+    assert.deepEqual(bySearch.body.articles.map(article => article.title), ['Маршруты в Express']);
+  });
+
+  it('отклоняет несколько тегов в фильтре', async () => {
+    const response = await request().get('/api/articles?tag=databases&tag=nodejs');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Фильтр по тегу принимает только один тег');
+  });
+
+  it('экранирует HTML во фрагменте поиска и выделяет совпадения', async () => {
+    const author = await createUser();
+    await createArticle(author, {
+      title: 'Статья с разметкой',
+      content: 'Опасный <script>alert("xss")</script> текст <img src=x onerror=alert(1)> про уязвимость'
+    });
+
+    const response = await request().get('/api/articles').query({ search: 'уязвимость' });
+    const { headline } = response.body.articles[0];
+
+    assert.doesNotMatch(headline, /<script|<img/);
+    assert.match(headline, /<mark>уязвимость<\/mark>/);
+  });
+});
+
+describe('GET /api/articles/:id', () => {
+  it('возвращает статью с отрисованным HTML и реакциями', async () => {
+    const author = await createUser();
+    const article = await createArticle(author, {
+      content: '# Заголовок\n\nТекст **статьи**',
+      content_format: 'markdown'
+    });
+
+    const response = await request().get(`/api/articles/${article.id}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.article.author_username, author.username);
+    assert.match(response.body.article.content_html, /<strong>статьи<\/strong>/);
+    assert.ok(Array.isArray(response.body.article.reactions));
+  });
+
+  it('скрывает черновик от всех, кроме автора', async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const draft = await createArticle(author, { status: 'draft' });
+
+    const anonymous = await request().get(`/api/articles/${draft.id}`);
+    const foreign = await request().get(`/api/articles/${draft.id}`).set(authHeader(other));
+    const own = await request().get(`/api/articles/${draft.id}`).set(authHeader(author));
+
+    assert.equal(anonymous.status, 404);
+    assert.equal(foreign.status, 404);
+    assert.equal(own.status, 200);
+  });
+
+  it('отвечает 404 для несуществующей статьи', async () => {
+    const response = await request().get('/api/articles/999999');
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.message, 'Статья не найдена');
+  });
+});
+
+describe('POST /api/articles', () => {
+  it('создает статью с нормализованными тегами', async () => {
+    const author = await createUser();
+
+    const response = await request()
+      .post('/api/articles')
+      .set(authHeader(author))
+      .send({ title: 'Новая статья', content: 'Содержание новой статьи', tags: [' NodeJS ', 'nodejs', 'Express'] });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.article.status, 'draft');
+    assert.deepEqual(response.body.article.tags, ['express', 'nodejs']);
+  });
+
+  it('требует авторизации', async () => {
+    const response = await request()
+      .post('/api/articles')
+      .send({ title: 'Новая статья', content: 'Содержание новой статьи' });
+
+    assert.equal(response.status, 401);
+  });
+
+  it('проверяет заголовок, содержание и статус', async () => {
+    const author = await createUser();
+
+    const shortTitle = await request()
+      .post('/api/articles')
+      .set(authHeader(author))
+      .send({ title: 'Аб', content: 'Содержание новой статьи' });
+    const archivedStatus = await request()
+      .post('/api/articles')
+      .set(authHeader(author))
+      .send({ title: 'Новая статья', content: 'Содержание новой статьи', status: 'archived' });
+
+    assert.equal(shortTitle.status, 400);
+    assert.equal(shortTitle.body.errors[0].field, 'title');
+    assert.equal(archivedStatus.status, 400);
+    assert.equal(archivedStatus.body.errors[0].field, 'status');
+  });
+
+  it('запрещает публикацию без подтвержденного email, если это требуется', async () => {
+    const author = await createUser({ verified: false });
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+    try {
+      const response = await request()
+        .post('/api/articles')
+        .set(authHeader(author))
+        .send({ title: 'Новая статья', content: 'Содержание новой статьи' });
+
+      assert.equal(response.status, 403);
+    } finally {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'false';
+    }
+  });
+});
+
+describe('PUT /api/articles/:id', () => {
+  it('обновляет статью автора и сохраняет ревизию', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+
+    const response = await request()
+      .put(`/api/articles/${article.id}`)
+      .set(authHeader(author))
+      .send({ title: 'Обновленный заголовок', tags: ['updated'] });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.article.title, 'Обновленный заголовок');
+    assert.deepEqual(response.body.article.tags, ['updated']);
+
+    const revisions = await request().get(`/api/articles/${article.id}/revisions`).set(authHeader(author));
+    assert.equal(revisions.body.revisions.length, 2);
+  });
+
+  it('сохраняет формат в ревизии и восстанавливает его', async () => {
+    const author = await createUser();
+    const article = await createArticle(author, { content: '# Заголовок' });
+
+    await request().put(`/api/articles/${article.id}`).set(authHeader(author)).send({ content_format: 'markdown' });
+    const diff = await request()
+      .get(`/api/articles/${article.id}/revisions/diff`)
+      .query({ from: 1, to: 2 })
+      .set(authHeader(author));
+    const restored = await request().post(`/api/articles/${article.id}/revisions/1/restore`).set(authHeader(author));
+
+    assert.deepEqual(diff.body.content_format, { from: 'plain', to: 'markdown', changed: true });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.article.content_format, 'plain');
+    assert.equal(restored.body.revision_number, 3);
+  });
+
+  it('запрещает редактирование чужой статьи', async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const article = await createArticle(author);
+
+    const response = await request()
+      .put(`/api/articles/${article.id}`)
+      .set(authHeader(other))
+      .send({ title: 'Чужой заголовок' });
+
+    assert.equal(response.status, 403);
+  });
+
+  it('отвечает 400 без данных и 404 для несуществующей статьи', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+
+    const empty = await request().put(`/api/articles/${article.id}`).set(authHeader(author)).send({});
+    const missing = await request().put('/api/articles/999999').set(authHeader(author)).send({ title: 'Заголовок' });
+
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.message, 'Нет данных для обновления');
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('Смена статуса статьи', () => {
+  it('публикует черновик и снимает статью с публикации', async () => {
+    const author = await createUser();
+    const draft = await createArticle(author, { status: 'draft' });
+
+    const published = await request().post(`/api/articles/${draft.id}/publish`).set(authHeader(author));
+    const again = await request().post(`/api/articles/${draft.id}/publish`).set(authHeader(author));
+    const unpublished = await request().post(`/api/articles/${draft.id}/unpublish`).set(authHeader(author));
+
+    assert.equal(published.status, 200);
+    assert.equal(published.body.article.status, 'published');
+    assert.ok(published.body.article.published_at);
+    assert.equal(again.status, 400);
+    assert.equal(again.body.message, 'Статья уже опубликована');
+    assert.equal(unpublished.body.article.status, 'draft');
+  });
+
+  it('разрешает архивировать чужую статью только модератору', async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const moderator = await createUser({ role: 'moderator' });
+    const article = await createArticle(author);
+
+    const byOther = await request().post(`/api/articles/${article.id}/archive`).set(authHeader(other));
+    const byModerator = await request().post(`/api/articles/${article.id}/archive`).set(authHeader(moderator));
+
+    assert.equal(byOther.status, 403);
+    assert.equal(byModerator.status, 200);
+    assert.equal(byModerator.body.article.status, 'archived');
+  });
+
+  it('не позволяет автору восстановить статью, архивированную модератором', async () => {
+    const author = await createUser();
+    const moderator = await createUser({ role: 'moderator' });
+    const article = await createArticle(author);
+    await request().post(`/api/articles/${article.id}/archive`).set(authHeader(moderator));
+
+    const published = await request().post(`/api/articles/${article.id}/publish`).set(authHeader(author));
+    const unpublished = await request().post(`/api/articles/${article.id}/unpublish`).set(authHeader(author));
+
+    assert.equal(published.status, 403);
+    assert.equal(published.body.message, 'Статья перенесена в архив модератором, восстановить ее может только модератор');
+    assert.equal(unpublished.status, 403);
+
+    const restored = await request().post(`/api/articles/${article.id}/publish`).set(authHeader(moderator));
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.article.status, 'published');
+
+    // После восстановления статьей снова управляет автор
+    const byAuthor = await request().post(`/api/articles/${article.id}/unpublish`).set(authHeader(author));
+    assert.equal(byAuthor.status, 200);
+  });
+
+  it('позволяет автору восстановить свою архивную статью, а модератору — нет', async () => {
+    const author = await createUser();
+    const moderator = await createUser({ role: 'moderator' });
+    const article = await createArticle(author);
+    const draft = await createArticle(author, { status: 'draft' });
+    await request().post(`/api/articles/${article.id}/archive`).set(authHeader(author));
+
+    const byModerator = await request().post(`/api/articles/${article.id}/publish`).set(authHeader(moderator));
+    const draftByModerator = await request().post(`/api/articles/${draft.id}/publish`).set(authHeader(moderator));
+    const byAuthor = await request().post(`/api/articles/${article.id}/publish`).set(authHeader(author));
+
+    assert.equal(byModerator.status, 403);
+    assert.equal(draftByModerator.status, 403);
+    assert.equal(byAuthor.status, 200);
+  });
+});
+
+describe('Закладки', () => {
+  it('добавляет и удаляет закладку', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+
+    const added = await request().post(`/api/articles/${article.id}/bookmark`).set(authHeader(reader));
+    const duplicate = await request().post(`/api/articles/${article.id}/bookmark`).set(authHeader(reader));
+    const detail = await request().get(`/api/articles/${article.id}`).set(authHeader(reader));
+    const removed = await request().delete(`/api/articles/${article.id}/bookmark`).set(authHeader(reader));
+    const removedAgain = await request().delete(`/api/articles/${article.id}/bookmark`).set(authHeader(reader));
+
+    assert.equal(added.status, 201);
+    assert.equal(duplicate.status, 400);
+    assert.equal(detail.body.article.is_bookmarked, true);
+    assert.equal(removed.status, 200);
+    assert.equal(removedAgain.status, 404);
+  });
+
+  it('не добавляет в закладки несуществующую статью', async () => {
+    const reader = await createUser();
+
+    const response = await request().post('/api/articles/999999/bookmark').set(authHeader(reader));
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('DELETE /api/articles/:id', () => {
+  it('удаляет статью автора', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+
+    const response = await request().delete(`/api/articles/${article.id}`).set(authHeader(author));
+    const detail = await request().get(`/api/articles/${article.id}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(detail.status, 404);
+  });
+
+  it('разрешает удаление чужой статьи модератору, но не обычному пользователю', async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const moderator = await createUser({ role: 'moderator' });
+    const article = await createArticle(author);
+
+    const byOther = await request().delete(`/api/articles/${article.id}`).set(authHeader(other));
+    const byModerator = await request().delete(`/api/articles/${article.id}`).set(authHeader(moderator));
+
+    assert.equal(byOther.status, 403);
+    assert.equal(byModerator.status, 200);
+  });
+
+  it('отвечает 401 без токена и 404 для несуществующей статьи', async () => {
+    const author = await createUser();
+
+    const anonymous = await request().delete('/api/articles/1');
+    const missing = await request().delete('/api/articles/999999').set(authHeader(author));
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(missing.status, 404);
+  });
+});
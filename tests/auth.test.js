@@ -0,0 +1,267 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PASSWORD,
+  mails,
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  tokenFromMail
+} = require('./helpers');
+
+setupTestDatabase();
+
+describe('POST /api/auth/register', () => {
+  it('создает пользователя, выдает токены и отправляет письмо для подтверждения', async () => {
+    const response = await request()
+      .post('/api/auth/register')
+      .send({ username: 'alice', email: 'alice@example.com', password: PASSWORD });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.user.username, 'alice');
+    assert.equal(response.body.user.email_verified, false);
+    assert.ok(response.body.token);
+    assert.ok(response.body.refreshToken);
+    assert.equal(mails.length, 1);
+    assert.equal(mails[0].to, 'alice@example.com');
+  });
+
+  it('возвращает ошибку валидации с указанием поля', async () => {
+    const response = await request()
+      .post('/api/auth/register')
+      .send({ username: 'alice', email: 'not-an-email', password: PASSWORD });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Ошибка валидации данных');
+    assert.deepEqual(response.body.errors, [{ field: 'email', message: 'Некорректный email адрес' }]);
+  });
+
+  it('отклоняет пароль без цифр', async () => {
+    const response = await request()
+      .post('/api/auth/register')
+      .send({ username: 'alice', email: 'alice@example.com', password: 'onlyletters' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors[0].message, 'Пароль должен содержать хотя бы одну букву и одну цифру');
+  });
+
+  it('ограничивает длину пароля в байтах, а не в символах', async () => {
+    // 40 кириллических символов занимают 80 байт, хотя символов меньше 72
+    const tooLong = await request()
+      .post('/api/auth/register')
+      .send({ username: 'alice', email: 'alice@example.com', password: `${'п'.repeat(39)}1` });
+    const fits = await request()
+      .post('/api/auth/register')
+      .send({ username: 'bob', email: 'bob@example.com', password: `${'п'.repeat(35)}1` });
+
+    assert.equal(tooLong.status, 400);
+    assert.equal(tooLong.body.errors[0].message, 'Пароль не должен превышать 72 байта в кодировке UTF-8');
+    assert.equal(fits.status, 201);
+  });
+
+  it('не допускает повторный email или имя', async () => {
+    const user = await createUser();
+
+    const response = await request()
+      .post('/api/auth/register')
+      .send({ username: 'another', email: user.email, password: PASSWORD });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Пользователь с таким email или именем уже существует');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('выполняет вход с верным паролем', async () => {
+    const user = await createUser();
+
+    const response = await request()
+      .post('/api/auth/login')
+      .send({ email: user.email, password: PASSWORD });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.id, user.id);
+    assert.ok(response.body.token);
+  });
+
+  it('отклоняет неверный пароль и неизвестный email одинаково', async () => {
+    const user = await createUser();
+
+    const wrongPassword = await request()
+      .post('/api/auth/login')
+      .send({ email: user.email, password: 'wrong-password1' });
+    const unknownEmail = await request()
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: PASSWORD });
+
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(unknownEmail.status, 401);
+    assert.equal(wrongPassword.body.message, unknownEmail.body.message);
+  });
+
+  it('требует email и пароль', async () => {
+    const withoutEmail = await request().post('/api/auth/login').send({ password: PASSWORD });
+    const withoutPassword = await request().post('/api/auth/login').send({ email: 'alice@example.com' });
+
+    assert.equal(withoutEmail.status, 400);
+    assert.equal(withoutEmail.body.errors[0].message, 'Email обязателен');
+    assert.equal(withoutPassword.status, 400);
+    assert.equal(withoutPassword.body.errors[0].message, 'Пароль обязателен');
+  });
+});
+
+describe('POST /api/auth/verify-token', () => {
+  it('подтверждает действующий токен', async () => {
+    const user = await createUser();
+
+    const response = await request().post('/api/auth/verify-token').set(authHeader(user));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.message, 'Токен действителен');
+  });
+
+  it('отвечает 401 без токена и с поддельным токеном', async () => {
+    const missing = await request().post('/api/auth/verify-token');
+    const invalid = await request().post('/api/auth/verify-token').set('Authorization', 'Bearer invalid.token.value');
+
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.message, 'Токен доступа не предоставлен');
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.message, 'Неверный токен');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('выдает новую пару токенов и не принимает старый refresh-токен повторно', async () => {
+    const user = await createUser();
+
+    const refreshed = await request().post('/api/auth/refresh').send({ refreshToken: user.refreshToken });
+
+    assert.equal(refreshed.status, 200);
+    assert.ok(refreshed.body.token);
+    assert.notEqual(refreshed.body.refreshToken, user.refreshToken);
+
+    const reused = await request().post('/api/auth/refresh').send({ refreshToken: user.refreshToken });
+    assert.equal(reused.status, 401);
+
+    // Повторное использование отзывает всю сессию, включая новый токен
+    const afterReuse = await request().post('/api/auth/refresh').send({ refreshToken: refreshed.body.refreshToken });
+    assert.equal(afterReuse.status, 401);
+  });
+
+  it('требует refresh-токен', async () => {
+    const response = await request().post('/api/auth/refresh').send({});
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors[0].message, 'Refresh-токен обязателен');
+  });
+});
+
+describe('POST /api/auth/logout и /api/auth/logout-all', () => {
+  it('завершает сессию: access-токен перестает действовать', async () => {
+    const user = await createUser();
+
+    const logout = await request().post('/api/auth/logout').send({ refreshToken: user.refreshToken });
+    assert.equal(logout.status, 200);
+
+    const response = await request().get('/api/profile').set(authHeader(user));
+    assert.equal(response.status, 401);
+  });
+
+  it('завершает все сессии пользователя', async () => {
+    const user = await createUser();
+    const login = await request().post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+    const logoutAll = await request().post('/api/auth/logout-all').set(authHeader(user));
+    assert.equal(logoutAll.status, 200);
+
+    const secondSession = await request().get('/api/profile').set('Authorization', `Bearer ${login.body.token}`);
+    assert.equal(secondSession.status, 401);
+  });
+
+  it('logout-all требует авторизации', async () => {
+    const response = await request().post('/api/auth/logout-all');
+
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('Сброс пароля', () => {
+  it('меняет пароль по ссылке из письма', async () => {
+    const user = await createUser();
+
+    const forgot = await request().post('/api/auth/forgot-password').send({ email: user.email });
+    assert.equal(forgot.status, 200);
+
+    const token = tokenFromMail(user.email);
+    assert.ok(token);
+
+    const reset = await request().post('/api/auth/reset-password').send({ token, password: 'newpassword1' });
+    assert.equal(reset.status, 200);
+
+    const oldLogin = await request().post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+    const newLogin = await request().post('/api/auth/login').send({ email: user.email, password: 'newpassword1' });
+    assert.equal(oldLogin.status, 401);
+    assert.equal(newLogin.status, 200);
+
+    // Ссылка одноразовая
+    const reused = await request().post('/api/auth/reset-password').send({ token, password: 'another1pass' });
+    assert.equal(reused.status, 400);
+  });
+
+  it('не раскрывает, зарегистрирован ли email', async () => {
+    const response = await request().post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    assert.equal(response.status, 200);
+    assert.equal(mails.length, 0);
+  });
+
+  it('отклоняет неизвестный токен и слабый пароль', async () => {
+    const invalidToken = await request().post('/api/auth/reset-password').send({ token: 'unknown', password: 'newpassword1' });
+    const weakPassword = await request().post('/api/auth/reset-password').send({ token: 'unknown', password: '123' });
+
+    assert.equal(invalidToken.status, 400);
+    assert.equal(invalidToken.body.message, 'Ссылка для сброса пароля недействительна или устарела');
+    assert.equal(weakPassword.status, 400);
+    assert.equal(weakPassword.body.message, 'Ошибка валидации данных');
+  });
+});
+
+describe('Подтверждение email', () => {
+  it('подтверждает email по ссылке из письма после регистрации', async () => {
+    const user = await createUser({ verified: false });
+    const token = tokenFromMail(user.email);
+
+    const response = await request().get('/api/auth/verify-email').query({ token });
+    assert.equal(response.status, 200);
+
+    const profile = await request().get('/api/profile').set(authHeader(user));
+    assert.equal(profile.body.user.email_verified, true);
+  });
+
+  it('отклоняет отсутствующий, неизвестный и повторенный токен', async () => {
+    const missing = await request().get('/api/auth/verify-email');
+    const invalid = await request().get('/api/auth/verify-email').query({ token: 'unknown' });
+    const repeated = await request().get('/api/auth/verify-email?token=a&token=b');
+
+    assert.equal(missing.status, 400);
+    assert.equal(invalid.status, 400);
+    assert.equal(repeated.status, 400);
+    assert.equal(repeated.body.message, invalid.body.message);
+  });
+
+  it('повторно отправляет письмо только неподтвержденным пользователям', async () => {
+    const unverified = await createUser({ verified: false });
+    const verified = await createUser();
+    mails.length = 0;
+
+    const resent = await request().post('/api/auth/resend-verification').set(authHeader(unverified));
+    const alreadyVerified = await request().post('/api/auth/resend-verification').set(authHeader(verified));
+
+    assert.equal(resent.status, 200);
+    assert.equal(mails.length, 1);
+    assert.equal(alreadyVerified.status, 400);
+    assert.equal(alreadyVerified.body.message, 'Email уже подтвержден');
+  });
+});
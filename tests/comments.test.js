@@ -0,0 +1,276 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle,
+  createComment
+} = require('./helpers');
+
+setupTestDatabase();
+
+const reply = (user, commentId, content = 'Тестовый ответ') => {
+  return request()
+    .post(`/api/comments/${commentId}/replies`)
+    .set(authHeader(user))
+    .send({ content });
+};
+
+describe('GET /api/comments/article/:articleId', () => {
+  it('возвращает дерево комментариев с ответами и счетчиками', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+    const root = await createComment(author, article.id, 'Корневой комментарий');
+    await reply(author, root.id, 'Ответ на комментарий');
+
+    const response = await request().get(`/api/comments/article/${article.id}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.comments.length, 1);
+    assert.equal(response.body.comments[0].replies_count, 1);
+    assert.equal(response.body.comments[0].replies[0].content, 'Ответ на комментарий');
+    assert.equal(response.body.pagination.total, 1);
+  });
+
+  it('ограничивает глубину вложенных ответов параметром depth', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+    const root = await createComment(author, article.id);
+    const first = await reply(author, root.id);
+    await reply(author, first.body.comment.id);
+
+    const response = await request().get(`/api/comments/article/${article.id}`).query({ depth: 1 });
+
+    const [comment] = response.body.comments;
+    assert.equal(comment.replies.length, 1);
+    assert.deepEqual(comment.replies[0].replies, []);
+    assert.equal(comment.replies[0].replies_count, 1);
+  });
+
+  it('листает корневые комментарии по курсору', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+    for (let i = 1; i <= 3; i++) {
+      await createComment(author, article.id, `Комментарий ${i}`);
+    }
+
+    const first = await request().get(`/api/comments/article/${article.id}`).query({ limit: 2 });
+    const second = await request()
+      .get(`/api/comments/article/${article.id}`)
+      .query({ limit: 2, cursor: first.body.pagination.nextCursor });
+
+    assert.deepEqual(first.body.comments.map(comment => comment.content), ['Комментарий 1', 'Комментарий 2']);
+    assert.deepEqual(second.body.comments.map(comment => comment.content), ['Комментарий 3']);
+    assert.equal(second.body.pagination.hasNext, false);
+  });
+
+  it('отвечает 404 для несуществующей статьи и 400 для поврежденного курсора', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+
+    const missing = await request().get('/api/comments/article/999999');
+    const badCursor = await request().get(`/api/comments/article/${article.id}`).query({ cursor: 'broken' });
+
+    assert.equal(missing.status, 404);
+    assert.equal(badCursor.status, 400);
+  });
+});
+
+describe('GET /api/comments/:id/replies', () => {
+  it('возвращает ответы на комментарий', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+    const root = await createComment(author, article.id);
+    await reply(author, root.id, 'Первый ответ');
+
+    const response = await request().get(`/api/comments/${root.id}/replies`);
+    const missing = await request().get('/api/comments/999999/replies');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.replies.map(comment => comment.content), ['Первый ответ']);
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('Комментарии неопубликованных статей', () => {
+  it('видны только автору статьи', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+    const root = await createComment(author, article.id);
+    await reply(author, root.id);
+    await request().post(`/api/articles/${article.id}/unpublish`).set(authHeader(author));
+
+    const anonymous = await request().get(`/api/comments/article/${article.id}`);
+    const byReader = await request().get(`/api/comments/article/${article.id}`).set(authHeader(reader));
+    const byAuthor = await request().get(`/api/comments/article/${article.id}`).set(authHeader(author));
+
+    assert.equal(anonymous.status, 404);
+    assert.equal(byReader.status, 404);
+    assert.equal(byAuthor.status, 200);
+    assert.equal(byAuthor.body.comments.length, 1);
+
+    const anonymousReplies = await request().get(`/api/comments/${root.id}/replies`);
+    const readerReplies = await request().get(`/api/comments/${root.id}/replies`).set(authHeader(reader));
+    const authorReplies = await request().get(`/api/comments/${root.id}/replies`).set(authHeader(author));
+
+    assert.equal(anonymousReplies.status, 404);
+    assert.equal(readerReplies.status, 404);
+    assert.equal(authorReplies.status, 200);
+    assert.equal(authorReplies.body.replies.length, 1);
+  });
+});
+
+describe('POST /api/comments/article/:articleId', () => {
+  it('добавляет комментарий и уведомляет автора статьи', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+
+    const response = await request()
+      .post(`/api/comments/article/${article.id}`)
+      .set(authHeader(reader))
+      .send({ content: 'Отличная статья' });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.comment.author_id, reader.id);
+
+    const notifications = await db.query('SELECT type FROM notifications WHERE user_id = $1', [author.id]);
+    assert.deepEqual(notifications.rows, [{ type: 'comment' }]);
+  });
+
+  it('требует авторизации и непустой текст', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+
+    const anonymous = await request().post(`/api/comments/article/${article.id}`).send({ content: 'Текст' });
+    const empty = await request().post(`/api/comments/article/${article.id}`).set(authHeader(author)).send({ content: '' });
+    const tooLong = await request()
+      .post(`/api/comments/article/${article.id}`)
+      .set(authHeader(author))
+      .send({ content: 'а'.repeat(1001) });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(empty.status, 400);
+    assert.equal(tooLong.status, 400);
+    assert.equal(tooLong.body.errors[0].message, 'Комментарий не должен превышать 1000 символов');
+  });
+
+  it('не позволяет комментировать несуществующую статью', async () => {
+    const user = await createUser();
+
+    const response = await request()
+      .post('/api/comments/article/999999')
+      .set(authHeader(user))
+      .send({ content: 'Текст' });
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('POST /api/comments/:id/replies', () => {
+  it('не позволяет превысить максимальную глубину ответов', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+    let parent = await createComment(author, article.id);
+
+    for (let depth = 1; depth <= 5; depth++) {
+      const response = await reply(author, parent.id);
+      assert.equal(response.status, 201);
+      parent = response.body.comment;
+    }
+
+    const tooDeep = await reply(author, parent.id);
+
+    assert.equal(tooDeep.status, 400);
+    assert.equal(tooDeep.body.message, 'Достигнута максимальная глубина ответов');
+  });
+
+  it('отвечает 404 для несуществующего комментария', async () => {
+    const user = await createUser();
+
+    const response = await reply(user, 999999);
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('PUT /api/comments/:id', () => {
+  it('позволяет автору изменить комментарий', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+    const comment = await createComment(author, article.id);
+
+    const response = await request()
+      .put(`/api/comments/${comment.id}`)
+      .set(authHeader(author))
+      .send({ content: 'Исправленный комментарий' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.comment.content, 'Исправленный комментарий');
+  });
+
+  it('запрещает изменять чужой комментарий даже модератору', async () => {
+    const author = await createUser();
+    const moderator = await createUser({ role: 'moderator' });
+    const article = await createArticle(author);
+    const comment = await createComment(author, article.id);
+
+    const response = await request()
+      .put(`/api/comments/${comment.id}`)
+      .set(authHeader(moderator))
+      .send({ content: 'Чужая правка' });
+
+    assert.equal(response.status, 403);
+  });
+
+  it('проверяет текст и существование комментария', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+    const comment = await createComment(author, article.id);
+
+    const invalid = await request().put(`/api/comments/${comment.id}`).set(authHeader(author)).send({});
+    const missing = await request().put('/api/comments/999999').set(authHeader(author)).send({ content: 'Текст' });
+
+    assert.equal(invalid.status, 400);
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('DELETE /api/comments/:id', () => {
+  it('удаляет комментарий вместе с ответами и обновляет счетчик статьи', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+    const comment = await createComment(author, article.id);
+    await reply(author, comment.id);
+
+    const response = await request().delete(`/api/comments/${comment.id}`).set(authHeader(author));
+    const detail = await request().get(`/api/articles/${article.id}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(detail.body.article.comments_count, 0);
+  });
+
+  it('разрешает удаление модератору, но не другим пользователям', async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const moderator = await createUser({ role: 'moderator' });
+    const article = await createArticle(author);
+    const comment = await createComment(author, article.id);
+
+    const byOther = await request().delete(`/api/comments/${comment.id}`).set(authHeader(other));
+    const byModerator = await request().delete(`/api/comments/${comment.id}`).set(authHeader(moderator));
+
+    assert.equal(byOther.status, 403);
+    assert.equal(byModerator.status, 200);
+  });
+
+  it('требует авторизации', async () => {
+    const response = await request().delete('/api/comments/1');
+
+    assert.equal(response.status, 401);
+  });
+});
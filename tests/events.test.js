@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const app = require('../server');
+const {
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle,
+  createComment
+} = require('./helpers');
+
+setupTestDatabase();
+
+// Потоку нужно настоящее соединение: supertest ждет конца ответа
+let server;
+
+before(() => {
+  server = app.listen(0);
+});
+
+after(() => {
+  server.close();
+});
+
+// Открывает поток событий. Для успешного подключения события копятся в events,
+// waitFor ждет событие нужного типа, ended — закрытия потока сервером
+const openStream = (query) => new Promise((resolve, reject) => {
+  const url = `http://127.0.0.1:${server.address().port}/api/events?${new URLSearchParams(query)}`;
+
+  const req = http.get(url, (res) => {
+    let buffer = '';
+    res.setEncoding('utf8');
+
+    if (res.statusCode !== 200) {
+      res.on('data', chunk => { buffer += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(buffer) }));
+      return;
+    }
+
+    const events = [];
+    const waiters = [];
+
+    res.on('data', chunk => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      blocks.forEach(block => {
+        const type = block.match(/^event: (.*)$/m);
+
+        if (type) {
+          events.push({ type: type[1], data: JSON.parse(block.match(/^data: (.*)$/m)[1]) });
+        }
+      });
+
+      waiters.forEach(check => check());
+    });
+
+    const waitFor = (type) => new Promise(done => {
+      const check = () => {
+        const event = events.find(item => item.type === type);
+
+        if (event) {
+          done(event.data);
+        }
+      };
+
+      waiters.push(check);
+      check();
+    });
+
+    resolve({
+      status: res.statusCode,
+      events,
+      waitFor,
+      ended: new Promise(done => res.on('end', done)),
+      close: () => req.destroy()
+    });
+  });
+
+  req.on('error', reject);
+});
+
+const streamToken = async (user) => {
+  const response = await request().post('/api/events/token').set(authHeader(user));
+  return response.body.token;
+};
+
+describe('GET /api/events', () => {
+  it('подключается по токену потока и присылает события статьи', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+
+    const stream = await openStream({ articles: article.id, token: await streamToken(author) });
+
+    assert.equal(stream.status, 200);
+    assert.deepEqual(await stream.waitFor('ready'), { articles: [article.id] });
+
+    const comment = await createComment(author, article.id, 'Комментарий в реальном времени');
+    const created = await stream.waitFor('comment.created');
+
+    assert.equal(created.comment.id, comment.id);
+    stream.close();
+  });
+
+  it('не принимает access-токен в URL и токен потока вместо access-токена', async () => {
+    const user = await createUser();
+    const article = await createArticle(user);
+    const token = await streamToken(user);
+
+    const accessInQuery = await openStream({ articles: article.id, access_token: user.token });
+    const accessAsStreamToken = await openStream({ articles: article.id, token: user.token });
+    const streamAsAccess = await request().get('/api/profile').set('Authorization', `Bearer ${token}`);
+
+    assert.equal(accessInQuery.status, 401);
+    assert.equal(accessAsStreamToken.status, 401);
+    assert.equal(streamAsAccess.status, 401);
+  });
+
+  it('закрывает поток при завершении всех сессий', async () => {
+    const user = await createUser();
+    const article = await createArticle(user);
+
+    const stream = await openStream({ articles: article.id, token: await streamToken(user) });
+    await stream.waitFor('ready');
+
+    await request().post('/api/auth/logout-all').set(authHeader(user));
+    await stream.ended;
+
+    assert.deepEqual(stream.events.at(-1), { type: 'closed', data: { reason: 'session_ended' } });
+  });
+
+  it('требует авторизации для выдачи токена потока', async () => {
+    const response = await request().post('/api/events/token');
+
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle
+} = require('./helpers');
+
+setupTestDatabase();
+
+const follow = (user, targetId) => request().post(`/api/users/${targetId}/follow`).set(authHeader(user));
+
+describe('GET /api/feed', () => {
+  it('возвращает опубликованные статьи авторов из подписок, новые первыми', async () => {
+    const reader = await createUser();
+    const followed = await createUser();
+    const another = await createUser();
+    const stranger = await createUser();
+    await follow(reader, followed.id);
+    await follow(reader, another.id);
+
+    const older = await createArticle(followed, { title: 'Первая статья' });
+    await createArticle(followed, { title: 'Черновик', status: 'draft' });
+    await createArticle(stranger, { title: 'Статья без подписки' });
+    const newer = await createArticle(another, { title: 'Вторая статья', tags: ['feed'] });
+
+    const response = await request().get('/api/feed').set(authHeader(reader));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.articles.map(article => article.id), [newer.id, older.id]);
+    assert.deepEqual(response.body.articles[0].tags, ['feed']);
+    assert.ok(Array.isArray(response.body.articles[0].reactions));
+    assert.equal(response.body.pagination.total, 2);
+  });
+
+  it('листает ленту по страницам', async () => {
+    const reader = await createUser();
+    const author = await createUser();
+    await follow(reader, author.id);
+    for (let i = 1; i <= 3; i++) {
+      await createArticle(author, { title: `Статья ${i}` });
+    }
+
+    const first = await request().get('/api/feed').query({ limit: 2 }).set(authHeader(reader));
+    const second = await request().get('/api/feed').query({ limit: 2, page: 2 }).set(authHeader(reader));
+
+    assert.deepEqual(first.body.articles.map(article => article.title), ['Статья 3', 'Статья 2']);
+    assert.equal(first.body.pagination.hasNext, true);
+    assert.deepEqual(second.body.articles.map(article => article.title), ['Статья 1']);
+    assert.equal(second.body.pagination.hasNext, false);
+  });
+
+  it('пуста без подписок и требует авторизации', async () => {
+    const user = await createUser();
+    await createArticle(user);
+
+    const empty = await request().get('/api/feed').set(authHeader(user));
+    const anonymous = await request().get('/api/feed');
+
+    assert.deepEqual(empty.body.articles, []);
+    assert.equal(anonymous.status, 401);
+  });
+});
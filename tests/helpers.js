@@ -0,0 +1,200 @@
+// Общая настройка интеграционных тестов. Каждый тестовый файл запускается
+// в отдельном процессе и работает со своей временной базой данных:
+// она создается и мигрируется перед тестами, очищается перед каждым тестом
+// и удаляется после них. Переменные окружения задаются до загрузки приложения.
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+
+const TEST_DATABASE = `${process.env.DATABASE_NAME || 'articlehub'}_test_${process.pid}`;
+
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_NAME = TEST_DATABASE;
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.MAIL_TRANSPORT = 'test';
+process.env.REQUIRE_EMAIL_VERIFICATION = 'false';
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'articlehub-test-uploads-'));
+
+const { before, after, beforeEach } = require('node:test');
+const supertest = require('supertest');
+const app = require('../server');
+const db = require('../config/database');
+const { registerTransport } = require('../utils/mailer');
+const { migrateUp } = require('../scripts/migrate');
+const { resetDatabase } = require('../scripts/reset-database');
+
+const PASSWORD = 'password123';
+
+// Письма, отправленные приложением во время текущего теста
+const mails = [];
+registerTransport('test', async (message) => {
+  mails.push(message);
+});
+
+// Служебное подключение к базе postgres для создания и удаления тестовой базы
+const withAdminClient = async (callback) => {
+  const client = new Client({
+    host: process.env.DATABASE_HOST || 'localhost',
+    port: process.env.DATABASE_PORT || 5432,
+    database: process.env.DATABASE_ADMIN_NAME || 'postgres',
+    user: process.env.DATABASE_USER || 'postgres',
+    password: process.env.DATABASE_PASSWORD || 'password',
+  });
+
+  await client.connect();
+
+  try {
+    return await callback(client);
+  } finally {
+    await client.end();
+  }
+};
+
+// Пустая тестовая база без схемы
+const createTestDatabase = async () => {
+  await withAdminClient(async (client) => {
+    await client.query(`DROP DATABASE IF EXISTS "${TEST_DATABASE}"`);
+    await client.query(`CREATE DATABASE "${TEST_DATABASE}" ENCODING 'UTF8' TEMPLATE template0`);
+  });
+};
+
+// Закрывает пул приложения и удаляет тестовую базу вместе с загруженными файлами
+const dropTestDatabase = async () => {
+  await db.pool.end();
+
+  await withAdminClient(async (client) => {
+    await client.query(`DROP DATABASE IF EXISTS "${TEST_DATABASE}" WITH (FORCE)`);
+  });
+
+  fs.rmSync(process.env.UPLOAD_PATH, { recursive: true, force: true });
+};
+
+// Подключает хуки жизненного цикла тестовой базы к текущему файлу тестов
+const setupTestDatabase = () => {
+  before(async () => {
+    await createTestDatabase();
+    await migrateUp(db.pool);
+  });
+
+  beforeEach(async () => {
+    await resetDatabase(db.pool);
+    mails.length = 0;
+  });
+
+  after(dropTestDatabase);
+};
+
+const request = () => supertest(app);
+
+const authHeader = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+let userCounter = 0;
+
+// Регистрация пользователя через API. По умолчанию email сразу подтверждается,
+// role позволяет выдать роль модератора или администратора.
+const createUser = async ({ verified = true, role = 'user', ...overrides } = {}) => {
+  userCounter++;
+
+  const credentials = {
+    username: `user${userCounter}`,
+    email: `user${userCounter}@example.com`,
+    password: PASSWORD,
+    ...overrides
+  };
+
+  const response = await request().post('/api/auth/register').send(credentials);
+
+  if (response.status !== 201) {
+    throw new Error(`Не удалось зарегистрировать пользователя: ${JSON.stringify(response.body)}`);
+  }
+
+  await db.query('UPDATE users SET email_verified = $1, role = $2 WHERE id = $3', [verified, role, response.body.user.id]);
+
+  return {
+    ...response.body.user,
+    password: credentials.password,
+    role,
+    email_verified: verified,
+    token: response.body.token,
+    refreshToken: response.body.refreshToken
+  };
+};
+
+const createArticle = async (author, overrides = {}) => {
+  const response = await request()
+    .post('/api/articles')
+    .set(authHeader(author))
+    .send({
+      title: 'Тестовая статья',
+      content: 'Содержание тестовой статьи',
+      status: 'published',
+      ...overrides
+    });
+
+  if (response.status !== 201) {
+    throw new Error(`Не удалось создать статью: ${JSON.stringify(response.body)}`);
+  }
+
+  return response.body.article;
+};
+
+const createComment = async (author, articleId, content = 'Тестовый комментарий') => {
+  const response = await request()
+    .post(`/api/comments/article/${articleId}`)
+    .set(authHeader(author))
+    .send({ content });
+
+  if (response.status !== 201) {
+    throw new Error(`Не удалось создать комментарий: ${JSON.stringify(response.body)}`);
+  }
+
+  return response.body.comment;
+};
+
+// Реакция из справочника, заполняемого миграцией, по порядковому номеру
+const getReaction = async (index = 0) => {
+  const result = await db.query('SELECT id, emoji, name FROM reactions ORDER BY id');
+  return result.rows[index];
+};
+
+// Токен из ссылки в последнем письме получателю
+const tokenFromMail = (email) => {
+  const mail = [...mails].reverse().find(message => message.to === email);
+  const match = mail && mail.text.match(/token=([\w-]+)/);
+  return match ? match[1] : null;
+};
+
+// Ждет, пока check() не вернет истину: для действий, которые сервер выполняет
+// после ответа (например, удаление файлов). Падает, если условие не выполнилось за timeout мс
+const waitUntil = async (check, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Условие не выполнилось за ${timeout} мс`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+module.exports = {
+  PASSWORD,
+  db,
+  mails,
+  createTestDatabase,
+  dropTestDatabase,
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle,
+  createComment,
+  getReaction,
+  tokenFromMail,
+  waitUntil
+};
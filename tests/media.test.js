@@ -0,0 +1,185 @@
+// Небольшая квота, чтобы две загрузки вместе ее превышали
+process.env.MEDIA_QUOTA_MB = '1';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const sharp = require('sharp');
+const {
+  db,
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle,
+  waitUntil
+} = require('./helpers');
+const { resetDatabase } = require('../scripts/reset-database');
+
+setupTestDatabase();
+
+// PNG из шума почти не сжимается: около 700 КБ
+const createLargeImage = () => {
+  return sharp({
+    create: {
+      width: 480,
+      height: 480,
+      channels: 3,
+      noise: { type: 'gaussian', mean: 128, sigma: 60 }
+    }
+  }).png().toBuffer();
+};
+
+const createSmallImage = () => {
+  return sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } }).png().toBuffer();
+};
+
+const upload = (user, image) => {
+  return request()
+    .post('/api/media')
+    .set(authHeader(user))
+    .attach('files', image, { filename: 'image.png', contentType: 'image/png' });
+};
+
+const storedFiles = () => fs.readdirSync(process.env.UPLOAD_PATH);
+
+// Файлы удаляются после ответа: ждем, пока в хранилище останется count файлов
+const waitForStoredFiles = (count) => waitUntil(() => storedFiles().length === count);
+
+describe('POST /api/media', () => {
+  it('не превышает квоту при одновременных загрузках', async () => {
+    const user = await createUser();
+    const image = await createLargeImage();
+
+    const responses = await Promise.all([upload(user, image), upload(user, image)]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 400]);
+
+    const stored = await db.query('SELECT COALESCE(SUM(size), 0)::int as used FROM media WHERE user_id = $1', [user.id]);
+    assert.equal(stored.rows[0].used, image.length);
+
+    // Файлы отклоненной загрузки удаляются без ожидания результата
+    await waitForStoredFiles(1);
+  });
+});
+
+describe('GET /api/media', () => {
+  it('возвращает изображения пользователя со статьями и расходом квоты', async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const image = await createSmallImage();
+    const first = await upload(user, image);
+    const second = await upload(user, image);
+    await upload(other, image);
+    const article = await createArticle(user, { content: `![](${first.body.media[0].url})` });
+
+    const response = await request().get('/api/media').set(authHeader(user));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.media.map(media => [media.id, media.article_ids]),
+      [[second.body.media[0].id, []], [first.body.media[0].id, [article.id]]]
+    );
+    assert.equal(response.body.usage.used, image.length * 2);
+    assert.equal(response.body.usage.quota, 1024 * 1024);
+    assert.equal(response.body.pagination.total, 2);
+  });
+
+  it('требует авторизации', async () => {
+    const response = await request().get('/api/media');
+
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('DELETE /api/media/:id', () => {
+  it('удаляет неиспользуемое изображение вместе с файлом', async () => {
+    const user = await createUser();
+    const uploaded = await upload(user, await createSmallImage());
+
+    const response = await request().delete(`/api/media/${uploaded.body.media[0].id}`).set(authHeader(user));
+    const list = await request().get('/api/media').set(authHeader(user));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(list.body.media, []);
+    await waitForStoredFiles(0);
+  });
+
+  it('не удаляет изображение, которое используется в статье', async () => {
+    const user = await createUser();
+    const uploaded = await upload(user, await createSmallImage());
+    await createArticle(user, { content: `![](${uploaded.body.media[0].url})` });
+
+    const response = await request().delete(`/api/media/${uploaded.body.media[0].id}`).set(authHeader(user));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Изображение используется в статьях');
+    assert.equal(storedFiles().length, 1);
+  });
+
+  it('отвечает 404 для чужого и несуществующего изображения', async () => {
+    const owner = await createUser();
+    const other = await createUser();
+    const uploaded = await upload(owner, await createSmallImage());
+
+    const foreign = await request().delete(`/api/media/${uploaded.body.media[0].id}`).set(authHeader(other));
+    const missing = await request().delete('/api/media/999999').set(authHeader(owner));
+
+    assert.equal(foreign.status, 404);
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('Удаление статьи с изображениями', () => {
+  it('удаляет изображения, которые больше нигде не используются', async () => {
+    const user = await createUser();
+    const image = await createSmallImage();
+    const own = (await upload(user, image)).body.media[0];
+    const shared = (await upload(user, image)).body.media[0];
+    const article = await createArticle(user, { content: `![](${own.url})\n![](${shared.url})` });
+    await createArticle(user, { content: `![](${shared.url})` });
+
+    const response = await request().delete(`/api/articles/${article.id}`).set(authHeader(user));
+    const list = await request().get('/api/media').set(authHeader(user));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(list.body.media.map(media => media.id), [shared.id]);
+    await waitForStoredFiles(1);
+    assert.deepEqual(storedFiles(), [shared.url.split('/').pop()]);
+  });
+});
+
+describe('Исходное имя файла', () => {
+  it('сохраняется в UTF-8 и обрезается до 255 символов', async () => {
+    const user = await createUser();
+    const image = await createSmallImage();
+    const longName = `${'снимок'.repeat(50)}.png`;
+
+    const cyrillic = await request()
+      .post('/api/media')
+      .set(authHeader(user))
+      .attach('files', image, { filename: 'фото.png', contentType: 'image/png' });
+    const long = await request()
+      .post('/api/media')
+      .set(authHeader(user))
+      .attach('files', image, { filename: longName, contentType: 'image/png' });
+
+    assert.equal(cyrillic.status, 201);
+    assert.equal(cyrillic.body.media[0].original_name, 'фото.png');
+    assert.equal(long.status, 201);
+    assert.equal(long.body.media[0].original_name, longName.slice(0, 255));
+  });
+});
+
+describe('Очистка базы данных', () => {
+  it('удаляет загруженные файлы вместе с записями медиатеки', async () => {
+    const user = await createUser();
+    const uploaded = await upload(user, await createLargeImage());
+    assert.equal(uploaded.status, 201);
+    assert.equal(storedFiles().length, 1);
+
+    await resetDatabase(db.pool);
+
+    assert.deepEqual(storedFiles(), []);
+  });
+});
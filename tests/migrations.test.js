@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  db,
+  createTestDatabase,
+  dropTestDatabase,
+  request
+} = require('./helpers');
+const { migrateUp, migrateDown, migrationStatus } = require('../scripts/migrate');
+
+// database/schema.sql первых версий проекта: так создавались базы до появления миграций
+const BASELINE_SCHEMA = fs.readFileSync(path.join(__dirname, 'fixtures/baseline-schema.sql'), 'utf8');
+
+const BASELINE_DATA = `
+  INSERT INTO users (username, email, password_hash, created_at, updated_at)
+  VALUES ('author', 'author@example.com', 'hash', '2024-01-01', '2024-01-01'),
+         ('reader', 'reader@example.com', 'hash', '2024-01-01', '2024-01-01');
+
+  INSERT INTO articles (title, content, author_id, created_at, updated_at)
+  VALUES ('Старая статья', 'Содержание старой статьи', 1, '2024-01-02', '2024-01-03');
+
+  INSERT INTO comments (content, article_id, author_id) VALUES ('Старый комментарий', 1, 2);
+
+  INSERT INTO article_reactions (article_id, user_id, reaction_id)
+  SELECT 1, users.id, (SELECT MIN(id) FROM reactions) FROM users;
+`;
+
+const tableNames = async () => {
+  const result = await db.query("SELECT tablename FROM pg_tables WHERE schemaname = 'public' ORDER BY tablename");
+  return result.rows.map(row => row.tablename);
+};
+
+// Тесты выполняются по порядку и работают с одной базой
+describe('Миграции', () => {
+  before(async () => {
+    await createTestDatabase();
+    await db.query(BASELINE_SCHEMA);
+    await db.query(BASELINE_DATA);
+  });
+
+  after(dropTestDatabase);
+
+  it('применяются к базе, созданной из исходной schema.sql, и заполняют новые колонки', async () => {
+    const applied = await migrateUp(db.pool);
+    const status = await migrationStatus(db.pool);
+
+    assert.ok(applied.length > 1);
+    assert.ok(status.every(migration => migration.applied_at));
+
+    const article = await db.query(`
+      SELECT status, published_at = created_at as published_on_creation,
+             updated_at = '2024-01-03' as updated_at_kept, comments_count, reactions_count
+      FROM articles WHERE id = 1
+    `);
+    assert.deepEqual(article.rows[0], {
+      status: 'published',
+      published_on_creation: true,
+      updated_at_kept: true,
+      comments_count: 1,
+      reactions_count: 2
+    });
+
+    const users = await db.query('SELECT role, email_verified, articles_count, comments_count FROM users ORDER BY id');
+    assert.deepEqual(users.rows, [
+      { role: 'user', email_verified: true, articles_count: 1, comments_count: 0 },
+      { role: 'user', email_verified: true, articles_count: 0, comments_count: 1 }
+    ]);
+
+    const response = await request().get('/api/articles').query({ search: 'старой' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.articles.map(item => item.title), ['Старая статья']);
+  });
+
+  it('откатываются полностью и применяются заново', async () => {
+    const total = (await migrationStatus(db.pool)).length;
+
+    const rolledBack = await migrateDown(db.pool, total);
+    assert.equal(rolledBack.length, total);
+    assert.deepEqual(await tableNames(), ['schema_migrations']);
+
+    const applied = await migrateUp(db.pool);
+    assert.equal(applied.length, total);
+
+    const user = await db.query("INSERT INTO users (username, email, password_hash) VALUES ('new', 'new@example.com', 'hash') RETURNING email_verified");
+    const article = await db.query("INSERT INTO articles (title, content, author_id) VALUES ('Новая', 'Текст', 1) RETURNING status");
+    assert.equal(user.rows[0].email_verified, false);
+    assert.equal(article.rows[0].status, 'draft');
+  });
+});
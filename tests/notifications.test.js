@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle,
+  createComment
+} = require('./helpers');
+
+setupTestDatabase();
+
+const follow = (user, targetId) => request().post(`/api/users/${targetId}/follow`).set(authHeader(user));
+
+const notifications = (user, query = {}) => request().get('/api/notifications').query(query).set(authHeader(user));
+
+describe('GET /api/notifications', () => {
+  it('возвращает уведомления пользователя, новые первыми, с числом непрочитанных', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+    await follow(reader, author.id);
+    await createComment(reader, article.id);
+
+    const response = await notifications(author);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.notifications.map(item => item.type), ['comment', 'follow']);
+    assert.equal(response.body.notifications[0].actor_username, reader.username);
+    assert.equal(response.body.notifications[0].article_title, article.title);
+    assert.equal(response.body.unread_count, 2);
+    assert.equal(response.body.pagination.total, 2);
+
+    const others = await notifications(reader);
+    assert.deepEqual(others.body.notifications, []);
+  });
+
+  it('требует авторизации', async () => {
+    const response = await request().get('/api/notifications');
+
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('Отметка уведомлений прочитанными', () => {
+  it('отмечает одно уведомление и оставляет его в списке', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+    await follow(reader, author.id);
+    await createComment(reader, article.id);
+    const [latest] = (await notifications(author)).body.notifications;
+
+    const read = await request().post(`/api/notifications/${latest.id}/read`).set(authHeader(author));
+    const unread = await notifications(author, { unread: 'true' });
+    const all = await notifications(author);
+
+    assert.equal(read.status, 200);
+    assert.equal(read.body.unread_count, 1);
+    assert.deepEqual(unread.body.notifications.map(item => item.type), ['follow']);
+    assert.equal(all.body.notifications.length, 2);
+    assert.ok(all.body.notifications[0].read_at);
+  });
+
+  it('не отмечает чужие и несуществующие уведомления', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    await follow(reader, author.id);
+    const [notification] = (await notifications(author)).body.notifications;
+
+    const foreign = await request().post(`/api/notifications/${notification.id}/read`).set(authHeader(reader));
+    const missing = await request().post('/api/notifications/999999/read').set(authHeader(author));
+
+    assert.equal(foreign.status, 404);
+    assert.equal(missing.status, 404);
+    assert.equal((await notifications(author)).body.unread_count, 1);
+  });
+
+  it('отмечает все уведомления сразу', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+    await follow(reader, author.id);
+    await createComment(reader, article.id);
+
+    const readAll = await request().post('/api/notifications/read-all').set(authHeader(author));
+    const again = await request().post('/api/notifications/read-all').set(authHeader(author));
+
+    assert.equal(readAll.status, 200);
+    assert.equal(readAll.body.updated, 2);
+    assert.equal(again.body.updated, 0);
+    assert.equal((await notifications(author)).body.unread_count, 0);
+  });
+});
+
+describe('Настройки уведомлений', () => {
+  it('по умолчанию включены все типы, отключенный тип не создает уведомлений', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+
+    const defaults = await request().get('/api/notifications/preferences').set(authHeader(author));
+    assert.deepEqual(defaults.body.preferences, { comment: true, reply: true, reaction: true, follow: true });
+
+    const saved = await request()
+      .put('/api/notifications/preferences')
+      .set(authHeader(author))
+      .send({ comment: false });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.preferences, { comment: false, reply: true, reaction: true, follow: true });
+
+    await createComment(reader, article.id);
+    await follow(reader, author.id);
+
+    const response = await notifications(author);
+    assert.deepEqual(response.body.notifications.map(item => item.type), ['follow']);
+  });
+
+  it('проверяет тело запроса', async () => {
+    const user = await createUser();
+
+    const empty = await request().put('/api/notifications/preferences').set(authHeader(user)).send({});
+    const unknown = await request().put('/api/notifications/preferences').set(authHeader(user)).send({ digest: true });
+
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.errors[0].message, 'Укажите хотя бы один тип уведомлений');
+    assert.equal(unknown.status, 400);
+  });
+});
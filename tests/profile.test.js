@@ -0,0 +1,271 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const {
+  PASSWORD,
+  db,
+  mails,
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle,
+  createComment
+} = require('./helpers');
+
+setupTestDatabase();
+
+const createImage = (format = 'png') => {
+  return sharp({
+    create: { width: 300, height: 200, channels: 3, background: { r: 200, g: 80, b: 40 } }
+  })[format]().toBuffer();
+};
+
+const uploadedFile = (url) => path.join(process.env.UPLOAD_PATH, path.basename(url));
+
+describe('GET /api/profile', () => {
+  it('возвращает данные текущего пользователя', async () => {
+    const user = await createUser();
+
+    const response = await request().get('/api/profile').set(authHeader(user));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.id, user.id);
+    assert.equal(response.body.user.email, user.email);
+    assert.equal(response.body.user.password_hash, undefined);
+  });
+
+  it('требует авторизации', async () => {
+    const response = await request().get('/api/profile');
+
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('PUT /api/profile', () => {
+  it('меняет имя пользователя', async () => {
+    const user = await createUser();
+
+    const response = await request().put('/api/profile').set(authHeader(user)).send({ username: 'renamed' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.username, 'renamed');
+  });
+
+  it('при смене email сбрасывает подтверждение и отправляет письмо', async () => {
+    const user = await createUser();
+
+    const response = await request().put('/api/profile').set(authHeader(user)).send({ email: 'new@example.com' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.email_verified, false);
+    assert.ok(mails.some(mail => mail.to === 'new@example.com'));
+  });
+
+  it('не позволяет занять чужое имя или email', async () => {
+    const user = await createUser();
+    const other = await createUser();
+
+    const response = await request().put('/api/profile').set(authHeader(user)).send({ username: other.username });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Пользователь с таким именем или email уже существует');
+  });
+
+  it('проверяет данные и требует хотя бы одно поле', async () => {
+    const user = await createUser();
+
+    const invalid = await request().put('/api/profile').set(authHeader(user)).send({ email: 'broken' });
+    const empty = await request().put('/api/profile').set(authHeader(user)).send({});
+
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].field, 'email');
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.message, 'Нет данных для обновления');
+  });
+});
+
+describe('PUT /api/profile/password', () => {
+  it('меняет пароль и завершает остальные сессии', async () => {
+    const user = await createUser();
+    const otherSession = await request().post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+    const response = await request()
+      .put('/api/profile/password')
+      .set(authHeader(user))
+      .send({ currentPassword: PASSWORD, newPassword: 'newpassword1' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.revokedSessions, 1);
+
+    const current = await request().get('/api/profile').set(authHeader(user));
+    const revoked = await request().get('/api/profile').set('Authorization', `Bearer ${otherSession.body.token}`);
+    assert.equal(current.status, 200);
+    assert.equal(revoked.status, 401);
+  });
+
+  it('отклоняет неверный текущий пароль и совпадающий новый', async () => {
+    const user = await createUser();
+
+    const wrongCurrent = await request()
+      .put('/api/profile/password')
+      .set(authHeader(user))
+      .send({ currentPassword: 'wrongpassword1', newPassword: 'newpassword1' });
+    const samePassword = await request()
+      .put('/api/profile/password')
+      .set(authHeader(user))
+      .send({ currentPassword: PASSWORD, newPassword: PASSWORD });
+
+    assert.equal(wrongCurrent.status, 400);
+    assert.equal(wrongCurrent.body.message, 'Неверный текущий пароль');
+    assert.equal(samePassword.status, 400);
+    assert.equal(samePassword.body.errors[0].message, 'Новый пароль должен отличаться от текущего');
+  });
+});
+
+describe('GET /api/profile/bookmarks', () => {
+  it('возвращает статьи из закладок пользователя', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const bookmarked = await createArticle(author, { title: 'Сохраненная статья' });
+    await createArticle(author, { title: 'Другая статья' });
+    await request().post(`/api/articles/${bookmarked.id}/bookmark`).set(authHeader(reader));
+
+    const response = await request().get('/api/profile/bookmarks').set(authHeader(reader));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.articles.map(article => article.title), ['Сохраненная статья']);
+  });
+});
+
+describe('GET /api/profile/export', () => {
+  it('выгружает данные пользователя файлом JSON', async () => {
+    const user = await createUser();
+    const article = await createArticle(user);
+    await createComment(user, article.id);
+
+    const response = await request().get('/api/profile/export').set(authHeader(user));
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-disposition'], /attachment/);
+    assert.equal(response.body.user.id, user.id);
+    assert.equal(response.body.articles.length, 1);
+    assert.equal(response.body.comments.length, 1);
+  });
+});
+
+describe('DELETE /api/profile', () => {
+  it('удаляет аккаунт вместе со статьями', async () => {
+    const user = await createUser();
+    const article = await createArticle(user);
+
+    const response = await request()
+      .delete('/api/profile')
+      .set(authHeader(user))
+      .send({ password: PASSWORD, mode: 'delete' });
+    const detail = await request().get(`/api/articles/${article.id}`);
+    const login = await request().post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+    assert.equal(response.status, 200);
+    assert.equal(detail.status, 404);
+    assert.equal(login.status, 401);
+  });
+
+  it('при анонимизации сохраняет опубликованные статьи', async () => {
+    const user = await createUser();
+    const article = await createArticle(user);
+
+    const response = await request()
+      .delete('/api/profile')
+      .set(authHeader(user))
+      .send({ password: PASSWORD, mode: 'anonymize' });
+    const detail = await request().get(`/api/articles/${article.id}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(detail.status, 200);
+    assert.notEqual(detail.body.article.author_username, user.username);
+
+    const stored = await db.query('SELECT email, deleted_at FROM users WHERE id = $1', [user.id]);
+    assert.notEqual(stored.rows[0].email, user.email);
+    assert.ok(stored.rows[0].deleted_at);
+  });
+
+  it('требует пароль и режим удаления', async () => {
+    const user = await createUser();
+
+    const wrongPassword = await request()
+      .delete('/api/profile')
+      .set(authHeader(user))
+      .send({ password: 'wrongpassword1', mode: 'delete' });
+    const unknownMode = await request()
+      .delete('/api/profile')
+      .set(authHeader(user))
+      .send({ password: PASSWORD, mode: 'purge' });
+
+    assert.equal(wrongPassword.status, 400);
+    assert.equal(wrongPassword.body.message, 'Неверный пароль');
+    assert.equal(unknownMode.status, 400);
+    assert.equal(unknownMode.body.errors[0].message, 'Режим удаления должен быть delete или anonymize');
+  });
+});
+
+describe('Аватар', () => {
+  it('сохраняет уменьшенные копии в WebP и удаляет их вместе с аватаром', async () => {
+    const user = await createUser();
+
+    const uploaded = await request()
+      .post('/api/profile/avatar')
+      .set(authHeader(user))
+      .attach('avatar', await createImage('png'), { filename: 'avatar.png', contentType: 'image/png' });
+
+    assert.equal(uploaded.status, 200);
+
+    const variants = Object.values(uploaded.body.user.avatar_variants);
+    assert.equal(variants.length, 3);
+
+    for (const url of variants) {
+      const metadata = await sharp(uploadedFile(url)).metadata();
+      assert.equal(metadata.format, 'webp');
+    }
+
+    const removed = await request().delete('/api/profile/avatar').set(authHeader(user));
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.user.avatar_url, null);
+
+    // Файлы удаляются без ожидания результата
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.ok(variants.every(url => !fs.existsSync(uploadedFile(url))));
+  });
+
+  it('отклоняет файл, содержимое которого не является изображением', async () => {
+    const user = await createUser();
+
+    const response = await request()
+      .post('/api/profile/avatar')
+      .set(authHeader(user))
+      .attach('avatar', Buffer.from('<?php echo 1; ?>'), { filename: 'avatar.png', contentType: 'image/png' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Содержимое файла не соответствует формату JPEG, PNG или GIF');
+  });
+
+  it('отвечает 400 без файла и 404 при удалении отсутствующего аватара', async () => {
+    const user = await createUser();
+
+    const withoutFile = await request().post('/api/profile/avatar').set(authHeader(user));
+    const removeMissing = await request().delete('/api/profile/avatar').set(authHeader(user));
+
+    assert.equal(withoutFile.status, 400);
+    assert.equal(removeMissing.status, 404);
+  });
+
+  it('требует авторизации', async () => {
+    const response = await request()
+      .post('/api/profile/avatar')
+      .attach('avatar', await createImage('jpeg'), { filename: 'avatar.jpg', contentType: 'image/jpeg' });
+
+    assert.equal(response.status, 401);
+  });
+});
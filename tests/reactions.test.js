@@ -0,0 +1,212 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle,
+  createComment,
+  getReaction
+} = require('./helpers');
+
+setupTestDatabase();
+
+const react = (user, target, id, reactionId) => {
+  return request()
+    .post(`/api/reactions/${target}/${id}`)
+    .set(authHeader(user))
+    .send({ reaction_id: reactionId });
+};
+
+const unreact = (user, target, id, reactionId) => {
+  return request()
+    .delete(`/api/reactions/${target}/${id}`)
+    .set(authHeader(user))
+    .send({ reaction_id: reactionId });
+};
+
+// Количество реакции в сводке статьи или комментария
+const countOf = (reactions, reactionId) => {
+  const reaction = reactions.find(item => item.id === reactionId);
+  return reaction ? reaction.count : 0;
+};
+
+describe('GET /api/reactions', () => {
+  it('возвращает справочник доступных реакций', async () => {
+    const response = await request().get('/api/reactions');
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.reactions.length > 0);
+    assert.ok(response.body.reactions.every(reaction => reaction.emoji && reaction.name));
+  });
+});
+
+describe('Реакции на статьи', () => {
+  it('добавляет реакцию и учитывает ее в статье', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+    const like = await getReaction(0);
+
+    const response = await react(reader, 'article', article.id, like.id);
+    const detail = await request().get(`/api/articles/${article.id}`).set(authHeader(reader));
+    const summary = await request().get(`/api/reactions/article/${article.id}`);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.message, 'Реакция успешно добавлена');
+    assert.equal(detail.body.article.reactions_count, 1);
+    assert.equal(countOf(detail.body.article.reactions, like.id), 1);
+    assert.equal(detail.body.article.reactions.find(item => item.id === like.id).user_reacted, true);
+    assert.deepEqual(summary.body.reactions.find(item => item.id === like.id).users, [reader.username]);
+  });
+
+  it('заменяет реакцию пользователя и не принимает ту же повторно', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+    const like = await getReaction(0);
+    const other = await getReaction(1);
+
+    await react(reader, 'article', article.id, like.id);
+    const duplicate = await react(reader, 'article', article.id, like.id);
+    const changed = await react(reader, 'article', article.id, other.id);
+    const detail = await request().get(`/api/articles/${article.id}`);
+
+    assert.equal(duplicate.status, 400);
+    assert.equal(duplicate.body.message, 'Вы уже поставили эту реакцию');
+    assert.equal(changed.status, 201);
+    assert.equal(changed.body.message, 'Реакция успешно изменена');
+    assert.equal(detail.body.article.reactions_count, 1);
+    assert.equal(countOf(detail.body.article.reactions, like.id), 0);
+    assert.equal(countOf(detail.body.article.reactions, other.id), 1);
+  });
+
+  it('удаляет реакцию', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+    const like = await getReaction(0);
+    await react(reader, 'article', article.id, like.id);
+
+    const removed = await unreact(reader, 'article', article.id, like.id);
+    const removedAgain = await unreact(reader, 'article', article.id, like.id);
+    const detail = await request().get(`/api/articles/${article.id}`);
+
+    assert.equal(removed.status, 200);
+    assert.equal(removedAgain.status, 404);
+    assert.equal(detail.body.article.reactions_count, 0);
+  });
+
+  it('не принимает реакции на черновики, несуществующие статьи и неизвестные реакции', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const draft = await createArticle(author, { status: 'draft' });
+    const article = await createArticle(author);
+    const like = await getReaction(0);
+
+    const onDraft = await react(reader, 'article', draft.id, like.id);
+    const onMissing = await react(reader, 'article', 999999, like.id);
+    const unknownReaction = await react(reader, 'article', article.id, 999999);
+
+    assert.equal(onDraft.status, 404);
+    assert.equal(onMissing.status, 404);
+    assert.equal(unknownReaction.status, 404);
+    assert.equal(unknownReaction.body.message, 'Реакция не найдена');
+  });
+
+  it('требует авторизации и корректный reaction_id', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+
+    const anonymous = await request().post(`/api/reactions/article/${article.id}`).send({ reaction_id: 1 });
+    const invalid = await react(author, 'article', article.id, 'like');
+    const missing = await request().post(`/api/reactions/article/${article.id}`).set(authHeader(author)).send({});
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].message, 'ID реакции должно быть числом');
+    assert.equal(missing.status, 400);
+  });
+
+  it('отвечает 404 на сводку несуществующей статьи', async () => {
+    const response = await request().get('/api/reactions/article/999999');
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('Реакции на комментарии', () => {
+  it('добавляет, заменяет и удаляет реакцию на комментарий', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+    const comment = await createComment(author, article.id);
+    const like = await getReaction(0);
+    const other = await getReaction(1);
+
+    const added = await react(reader, 'comment', comment.id, like.id);
+    const changed = await react(reader, 'comment', comment.id, other.id);
+    const summary = await request().get(`/api/reactions/comment/${comment.id}`);
+
+    assert.equal(added.status, 201);
+    assert.equal(changed.status, 201);
+    assert.equal(countOf(summary.body.reactions, like.id), 0);
+    assert.equal(countOf(summary.body.reactions, other.id), 1);
+
+    const removed = await unreact(reader, 'comment', comment.id, other.id);
+    const comments = await request().get(`/api/comments/article/${article.id}`);
+
+    assert.equal(removed.status, 200);
+    assert.equal(comments.body.comments[0].reactions_count, 0);
+  });
+
+  it('отвечает 404 для несуществующего комментария', async () => {
+    const user = await createUser();
+    const like = await getReaction(0);
+
+    const onMissing = await react(user, 'comment', 999999, like.id);
+    const removeMissing = await unreact(user, 'comment', 999999, like.id);
+    const summary = await request().get('/api/reactions/comment/999999');
+
+    assert.equal(onMissing.status, 404);
+    assert.equal(removeMissing.status, 404);
+    assert.equal(summary.status, 404);
+  });
+
+  it('не принимает реакции и скрывает сводки в неопубликованных статьях', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+    const comment = await createComment(author, article.id);
+    const like = await getReaction(0);
+    const other = await getReaction(1);
+    await react(reader, 'comment', comment.id, like.id);
+    await request().post(`/api/articles/${article.id}/archive`).set(authHeader(author));
+
+    const onComment = await react(reader, 'comment', comment.id, other.id);
+    const articleSummary = await request().get(`/api/reactions/article/${article.id}`);
+    const readerSummary = await request().get(`/api/reactions/article/${article.id}`).set(authHeader(reader));
+    const commentSummary = await request().get(`/api/reactions/comment/${comment.id}`);
+    const authorArticleSummary = await request().get(`/api/reactions/article/${article.id}`).set(authHeader(author));
+    const authorCommentSummary = await request().get(`/api/reactions/comment/${comment.id}`).set(authHeader(author));
+
+    assert.equal(onComment.status, 404);
+    assert.equal(articleSummary.status, 404);
+    assert.equal(readerSummary.status, 404);
+    assert.equal(commentSummary.status, 404);
+    assert.equal(authorArticleSummary.status, 200);
+    assert.equal(authorCommentSummary.status, 200);
+    assert.equal(countOf(authorCommentSummary.body.reactions, like.id), 1);
+  });
+
+  it('требует авторизации', async () => {
+    const author = await createUser();
+    const article = await createArticle(author);
+    const comment = await createComment(author, article.id);
+
+    const response = await request().post(`/api/reactions/comment/${comment.id}`).send({ reaction_id: 1 });
+
+    assert.equal(response.status, 401);
+  });
+});
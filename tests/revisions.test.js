@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle
+} = require('./helpers');
+
+setupTestDatabase();
+
+// Статья с двумя ревизиями: исходной и после правки текста
+const createEditedArticle = async (author) => {
+  const article = await createArticle(author, { title: 'Исходный заголовок', content: 'Первая строка\nВторая строка\n' });
+
+  await request()
+    .put(`/api/articles/${article.id}`)
+    .set(authHeader(author))
+    .send({ title: 'Новый заголовок', content: 'Первая строка\nИзмененная строка\nТретья строка\n' });
+
+  return article;
+};
+
+describe('GET /api/articles/:id/revisions', () => {
+  it('возвращает ревизии статьи без содержания, новые первыми', async () => {
+    const author = await createUser();
+    const article = await createEditedArticle(author);
+
+    const response = await request().get(`/api/articles/${article.id}/revisions`).set(authHeader(author));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.revisions.map(revision => [revision.revision_number, revision.title]),
+      [[2, 'Новый заголовок'], [1, 'Исходный заголовок']]
+    );
+    assert.equal(response.body.revisions[0].content, undefined);
+    assert.equal(response.body.revisions[0].author_username, author.username);
+  });
+
+  it('доступна только автору статьи', async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const moderator = await createUser({ role: 'moderator' });
+    const article = await createEditedArticle(author);
+
+    const byOther = await request().get(`/api/articles/${article.id}/revisions`).set(authHeader(other));
+    const byModerator = await request().get(`/api/articles/${article.id}/revisions/1`).set(authHeader(moderator));
+    const anonymous = await request().get(`/api/articles/${article.id}/revisions`);
+    const missing = await request().get('/api/articles/999999/revisions').set(authHeader(author));
+
+    assert.equal(byOther.status, 403);
+    assert.equal(byModerator.status, 403);
+    assert.equal(anonymous.status, 401);
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('GET /api/articles/:id/revisions/:rev', () => {
+  it('возвращает ревизию с содержанием', async () => {
+    const author = await createUser();
+    const article = await createEditedArticle(author);
+
+    const response = await request().get(`/api/articles/${article.id}/revisions/1`).set(authHeader(author));
+    const missing = await request().get(`/api/articles/${article.id}/revisions/3`).set(authHeader(author));
+    const invalid = await request().get(`/api/articles/${article.id}/revisions/first`).set(authHeader(author));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.revision.title, 'Исходный заголовок');
+    assert.equal(response.body.revision.content, 'Первая строка\nВторая строка\n');
+    assert.equal(response.body.revision.content_format, 'plain');
+    assert.equal(missing.status, 404);
+    assert.equal(invalid.status, 404);
+  });
+});
+
+describe('GET /api/articles/:id/revisions/diff', () => {
+  it('сравнивает две ревизии построчно', async () => {
+    const author = await createUser();
+    const article = await createEditedArticle(author);
+
+    const response = await request()
+      .get(`/api/articles/${article.id}/revisions/diff`)
+      .query({ from: 1, to: 2 })
+      .set(authHeader(author));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.from.revision_number, 1);
+    assert.equal(response.body.to.revision_number, 2);
+    assert.deepEqual(response.body.title, { from: 'Исходный заголовок', to: 'Новый заголовок', changed: true });
+    assert.deepEqual(response.body.content_format, { from: 'plain', to: 'plain', changed: false });
+    assert.deepEqual(response.body.changes, [
+      { type: 'unchanged', value: 'Первая строка\n', count: 1 },
+      { type: 'removed', value: 'Вторая строка\n', count: 1 },
+      { type: 'added', value: 'Измененная строка\nТретья строка\n', count: 2 }
+    ]);
+    assert.deepEqual(response.body.stats, { added: 2, removed: 1 });
+  });
+
+  it('требует номера ревизий и отвечает 404 для несуществующей', async () => {
+    const author = await createUser();
+    const article = await createEditedArticle(author);
+
+    const withoutTo = await request()
+      .get(`/api/articles/${article.id}/revisions/diff`)
+      .query({ from: 1 })
+      .set(authHeader(author));
+    const missing = await request()
+      .get(`/api/articles/${article.id}/revisions/diff`)
+      .query({ from: 1, to: 5 })
+      .set(authHeader(author));
+
+    assert.equal(withoutTo.status, 400);
+    assert.equal(withoutTo.body.message, 'Необходимо указать номера ревизий from и to');
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORAGE_DRIVER = 's3';
+process.env.S3_BUCKET = 'articlehub';
+process.env.S3_ENDPOINT = 'http://minio:9000';
+process.env.S3_FORCE_PATH_STYLE = 'true';
+
+// Поддельный @aws-sdk/client-s3: объекты хранятся в памяти, отправленные команды
+// копятся в sent. Подменяется через кэш модулей до первого обращения к драйверу
+const objects = new Map();
+const sent = [];
+const clients = [];
+
+class Command {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
+class PutObjectCommand extends Command {}
+class GetObjectCommand extends Command {}
+class DeleteObjectCommand extends Command {}
+
+class S3Client {
+  constructor(config) {
+    clients.push(config);
+  }
+
+  async send(command) {
+    sent.push(command);
+    const { Bucket, Key } = command.input;
+    const id = `${Bucket}/${Key}`;
+
+    if (command instanceof PutObjectCommand) {
+      objects.set(id, Buffer.from(command.input.Body));
+      return {};
+    }
+
+    if (!objects.has(id)) {
+      const error = new Error('The specified key does not exist.');
+      error.name = 'NoSuchKey';
+      throw error;
+    }
+
+    if (command instanceof GetObjectCommand) {
+      const body = objects.get(id);
+      return { Body: { transformToByteArray: async () => new Uint8Array(body) } };
+    }
+
+    objects.delete(id);
+    return {};
+  }
+}
+
+const sdkPath = require.resolve('@aws-sdk/client-s3');
+require.cache[sdkPath] = {
+  id: sdkPath,
+  filename: sdkPath,
+  loaded: true,
+  exports: { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand }
+};
+
+const { keyFromUrl, saveFile, readFile, fileUrl, removeFiles } = require('../utils/storage');
+
+beforeEach(() => {
+  objects.clear();
+  sent.length = 0;
+});
+
+describe('Драйвер хранилища s3', () => {
+  it('сохраняет файл в бакет с типом содержимого и выдает адрес через endpoint', async () => {
+    await saveFile('media-1-100.png', Buffer.from('png data'), 'image/png');
+
+    assert.equal(sent.length, 1);
+    assert.ok(sent[0] instanceof PutObjectCommand);
+    assert.equal(sent[0].input.Bucket, 'articlehub');
+    assert.equal(sent[0].input.Key, 'media-1-100.png');
+    assert.equal(sent[0].input.ContentType, 'image/png');
+    assert.equal(fileUrl('media-1-100.png'), 'http://minio:9000/articlehub/media-1-100.png');
+    assert.deepEqual(clients, [{
+      region: 'us-east-1',
+      endpoint: 'http://minio:9000',
+      forcePathStyle: true,
+      credentials: undefined
+    }]);
+  });
+
+  it('читает сохраненный файл как Buffer', async () => {
+    await saveFile('media-1-200.webp', Buffer.from([1, 2, 3]), 'image/webp');
+
+    const content = await readFile('media-1-200.webp');
+
+    assert.ok(Buffer.isBuffer(content));
+    assert.deepEqual([...content], [1, 2, 3]);
+    assert.ok(sent[1] instanceof GetObjectCommand);
+    await assert.rejects(readFile('missing.png'), { name: 'NoSuchKey' });
+  });
+
+  it('удаляет файлы и только логирует ошибки удаления', async (t) => {
+    const consoleError = t.mock.method(console, 'error', () => {});
+    await saveFile('media-1-300.png', Buffer.from('a'), 'image/png');
+    await saveFile('media-1-301.png', Buffer.from('b'), 'image/png');
+
+    await removeFiles(['media-1-300.png', 'missing.png', 'media-1-301.png']);
+
+    const deleted = sent.filter(command => command instanceof DeleteObjectCommand);
+    assert.deepEqual(deleted.map(command => command.input.Key), ['media-1-300.png', 'missing.png', 'media-1-301.png']);
+    assert.equal(objects.size, 0);
+    assert.equal(consoleError.mock.callCount(), 1);
+    assert.equal(consoleError.mock.calls[0].arguments[1].name, 'NoSuchKey');
+  });
+
+  it('находит ключ по адресу файла', () => {
+    const url = fileUrl('avatar-7-400.png');
+
+    assert.equal(keyFromUrl(url), 'avatar-7-400.png');
+    assert.equal(keyFromUrl(`${url}?X-Amz-Signature=abc/def`), 'avatar-7-400.png');
+    assert.equal(keyFromUrl('https://cdn.example.com/media/media-1-500.jpg'), 'media-1-500.jpg');
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  setupTestDatabase,
+  request,
+  createUser,
+  createArticle
+} = require('./helpers');
+
+setupTestDatabase();
+
+describe('GET /api/tags', () => {
+  it('возвращает теги опубликованных статей по популярности', async () => {
+    const author = await createUser();
+    await createArticle(author, { tags: ['nodejs', 'express'] });
+    await createArticle(author, { tags: ['nodejs'] });
+    await createArticle(author, { tags: ['drafts'], status: 'draft' });
+
+    const response = await request().get('/api/tags');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.tags.map(tag => [tag.name, tag.articles_count]),
+      [['nodejs', 2], ['express', 1]]
+    );
+  });
+
+  it('ищет по началу названия без учета регистра и ограничивает количество', async () => {
+    const author = await createUser();
+    await createArticle(author, { tags: ['nodejs', 'node_modules', 'nosql', 'express'] });
+
+    const search = await request().get('/api/tags').query({ search: ' NODE' });
+    const underscore = await request().get('/api/tags').query({ search: 'node_' });
+    const limited = await request().get('/api/tags').query({ limit: 2 });
+
+    assert.deepEqual(search.body.tags.map(tag => tag.name), ['node_modules', 'nodejs']);
+    // Подчеркивание ищется буквально, а не как шаблон LIKE
+    assert.deepEqual(underscore.body.tags.map(tag => tag.name), ['node_modules']);
+    assert.equal(limited.body.tags.length, 2);
+  });
+
+  it('отклоняет повторный параметр search', async () => {
+    const response = await request().get('/api/tags?search=node&search=express');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Поиск принимает только одну строку');
+  });
+});
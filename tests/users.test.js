@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  setupTestDatabase,
+  request,
+  authHeader,
+  createUser,
+  createArticle,
+  createComment
+} = require('./helpers');
+
+setupTestDatabase();
+
+const follow = (user, targetId) => request().post(`/api/users/${targetId}/follow`).set(authHeader(user));
+
+describe('GET /api/users', () => {
+  it('возвращает список пользователей администратору', async () => {
+    const admin = await createUser({ role: 'admin' });
+    await createUser({ role: 'moderator' });
+    await createUser();
+
+    const all = await request().get('/api/users').set(authHeader(admin));
+    const moderators = await request().get('/api/users').query({ role: 'moderator' }).set(authHeader(admin));
+
+    assert.equal(all.status, 200);
+    assert.equal(all.body.users.length, 3);
+    assert.equal(all.body.pagination.total, 3);
+    assert.deepEqual(moderators.body.users.map(user => user.role), ['moderator']);
+  });
+
+  it('ищет по имени и email и проверяет роль в фильтре', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const target = await createUser({ username: 'searchable' });
+
+    const found = await request().get('/api/users').query({ search: 'SEARCH' }).set(authHeader(admin));
+    const badRole = await request().get('/api/users').query({ role: 'owner' }).set(authHeader(admin));
+
+    assert.deepEqual(found.body.users.map(user => user.id), [target.id]);
+    assert.equal(badRole.status, 400);
+  });
+
+  it('недоступен без авторизации и обычным пользователям', async () => {
+    const user = await createUser();
+    const moderator = await createUser({ role: 'moderator' });
+
+    const anonymous = await request().get('/api/users');
+    const byUser = await request().get('/api/users').set(authHeader(user));
+    const byModerator = await request().get('/api/users').set(authHeader(moderator));
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(byUser.status, 403);
+    assert.equal(byModerator.status, 403);
+  });
+});
+
+describe('GET /api/users/:id', () => {
+  it('возвращает публичный профиль со статистикой', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const article = await createArticle(author);
+    await createArticle(author, { status: 'draft' });
+    await createComment(author, article.id);
+    await follow(reader, author.id);
+
+    const response = await request().get(`/api/users/${author.id}`).set(authHeader(reader));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.email, undefined);
+    assert.deepEqual(response.body.user.statistics, {
+      articles_count: 1,
+      comments_count: 1,
+      followers_count: 1,
+      following_count: 0
+    });
+    assert.equal(response.body.user.is_following, true);
+  });
+
+  it('отвечает 404 для несуществующего пользователя', async () => {
+    const response = await request().get('/api/users/999999');
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('PUT /api/users/:id/role', () => {
+  it('позволяет администратору назначить роль', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const user = await createUser();
+
+    const response = await request()
+      .put(`/api/users/${user.id}/role`)
+      .set(authHeader(admin))
+      .send({ role: 'moderator' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.role, 'moderator');
+  });
+
+  it('запрещает менять собственную роль и назначать неизвестную', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const user = await createUser();
+
+    const own = await request().put(`/api/users/${admin.id}/role`).set(authHeader(admin)).send({ role: 'user' });
+    const unknown = await request().put(`/api/users/${user.id}/role`).set(authHeader(admin)).send({ role: 'owner' });
+    const missing = await request().put('/api/users/999999/role').set(authHeader(admin)).send({ role: 'user' });
+
+    assert.equal(own.status, 400);
+    assert.equal(own.body.message, 'Нельзя изменить собственную роль');
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.errors[0].message, 'Роль должна быть одной из: user, moderator, admin');
+    assert.equal(missing.status, 404);
+  });
+
+  it('доступно только администраторам', async () => {
+    const moderator = await createUser({ role: 'moderator' });
+    const user = await createUser();
+
+    const response = await request()
+      .put(`/api/users/${user.id}/role`)
+      .set(authHeader(moderator))
+      .send({ role: 'admin' });
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe('Подписки', () => {
+  it('подписывает и отписывает от пользователя', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+
+    const followed = await follow(reader, author.id);
+    const duplicate = await follow(reader, author.id);
+    const unfollowed = await request().delete(`/api/users/${author.id}/follow`).set(authHeader(reader));
+    const unfollowedAgain = await request().delete(`/api/users/${author.id}/follow`).set(authHeader(reader));
+
+    assert.equal(followed.status, 201);
+    assert.equal(followed.body.followers_count, 1);
+    assert.equal(duplicate.status, 400);
+    assert.equal(unfollowed.status, 200);
+    assert.equal(unfollowed.body.followers_count, 0);
+    assert.equal(unfollowedAgain.status, 404);
+  });
+
+  it('не позволяет подписаться на себя и на несуществующего пользователя', async () => {
+    const user = await createUser();
+
+    const self = await follow(user, user.id);
+    const missing = await follow(user, 999999);
+    const anonymous = await request().post(`/api/users/${user.id}/follow`);
+
+    assert.equal(self.status, 400);
+    assert.equal(self.body.message, 'Нельзя подписаться на самого себя');
+    assert.equal(missing.status, 404);
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('возвращает списки подписчиков и подписок', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    await follow(reader, author.id);
+
+    const followers = await request().get(`/api/users/${author.id}/followers`);
+    const following = await request().get(`/api/users/${reader.id}/following`);
+    const missing = await request().get('/api/users/999999/followers');
+
+    assert.deepEqual(followers.body.users.map(user => user.id), [reader.id]);
+    assert.deepEqual(following.body.users.map(user => user.id), [author.id]);
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,172 @@
+const path = require('path');
+const { formatMedia } = require('./media');
+const { keyFromUrl, readFile } = require('./storage');
+
+const AVATAR_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Полное удаление: каскадно удаляются статьи, комментарии, реакции и сессии.
+// Обе функции возвращают имена файлов изображений для удаления из хранилища.
+const deleteUser = async (client, userId) => {
+  const mediaResult = await client.query('SELECT filename FROM media WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+  return mediaResult.rows.map(row => row.filename);
+};
+
+// Анонимизация: опубликованные статьи и комментарии остаются, но больше
+// не связаны с персональными данными. Черновики и архив удаляются.
+const anonymizeUser = async (client, userId) => {
+  await client.query("DELETE FROM articles WHERE author_id = $1 AND status <> 'published'", [userId]);
+  // Изображения опубликованных статей остаются, остальные удаляются
+  const mediaResult = await client.query(`
+    DELETE FROM media m
+    WHERE m.user_id = $1
+      AND NOT EXISTS (SELECT 1 FROM article_media am WHERE am.media_id = m.id)
+    RETURNING m.filename
+  `, [userId]);
+  await client.query('DELETE FROM follows WHERE follower_id = $1 OR following_id = $1', [userId]);
+  await client.query('DELETE FROM bookmarks WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM notifications WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM notification_preferences WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM user_tokens WHERE user_id = $1', [userId]);
+
+  // Подчеркивание недопустимо в именах при регистрации, домен .invalid зарезервирован,
+  // поэтому анонимные значения не пересекутся с реальными пользователями
+  await client.query(`
+    UPDATE users
+    SET username = 'deleted_' || id,
+        email = 'deleted_' || id || '@deleted.invalid',
+        password_hash = '',
+        avatar_url = NULL,
+        role = 'user',
+        email_verified = FALSE,
+        deleted_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [userId]);
+
+  return mediaResult.rows.map(row => row.filename);
+};
+
+const readAvatar = async (avatarUrl) => {
+  if (!avatarUrl) {
+    return null;
+  }
+
+  try {
+    const data = await readFile(keyFromUrl(avatarUrl));
+    const extension = path.extname(keyFromUrl(avatarUrl)).toLowerCase();
+
+    return {
+      url: avatarUrl,
+      mime_type: AVATAR_MIME_TYPES[extension] || 'application/octet-stream',
+      data: data.toString('base64')
+    };
+  } catch (error) {
+    console.error('Ошибка чтения файла аватара:', error);
+    return { url: avatarUrl, mime_type: null, data: null };
+  }
+};
+
+// Собирает все данные пользователя для выгрузки
+const exportUserData = async (db, userId) => {
+  const userResult = await db.query(`
+    SELECT id, username, email, avatar_url, role, email_verified, created_at, updated_at
+    FROM users WHERE id = $1
+  `, [userId]);
+  const user = userResult.rows[0];
+
+  const [articles, revisions, comments, articleReactions, commentReactions, following, bookmarks, media, sessions] = await Promise.all([
+    db.query(`
+      SELECT a.id, a.title, a.content, a.content_format, a.status, a.published_at, a.created_at, a.updated_at,
+        ARRAY(
+          SELECT t.name FROM article_tags at JOIN tags t ON at.tag_id = t.id
+          WHERE at.article_id = a.id ORDER BY t.name
+        ) as tags
+      FROM articles a
+      WHERE a.author_id = $1
+      ORDER BY a.created_at
+    `, [userId]),
+    db.query(`
+      SELECT article_id, revision_number, title, content, created_at
+      FROM article_revisions
+      WHERE author_id = $1
+      ORDER BY article_id, revision_number
+    `, [userId]),
+    db.query(`
+      SELECT id, article_id, parent_id, content, created_at, updated_at
+      FROM comments
+      WHERE author_id = $1
+      ORDER BY created_at
+    `, [userId]),
+    db.query(`
+      SELECT ar.article_id, r.emoji, r.name, ar.created_at
+      FROM article_reactions ar
+      JOIN reactions r ON ar.reaction_id = r.id
+      WHERE ar.user_id = $1
+      ORDER BY ar.created_at
+    `, [userId]),
+    db.query(`
+      SELECT cr.comment_id, r.emoji, r.name, cr.created_at
+      FROM comment_reactions cr
+      JOIN reactions r ON cr.reaction_id = r.id
+      WHERE cr.user_id = $1
+      ORDER BY cr.created_at
+    `, [userId]),
+    db.query(`
+      SELECT u.id, u.username, f.created_at as followed_at
+      FROM follows f
+      JOIN users u ON f.following_id = u.id
+      WHERE f.follower_id = $1
+      ORDER BY f.created_at
+    `, [userId]),
+    db.query(`
+      SELECT b.article_id, a.title, b.created_at
+      FROM bookmarks b
+      JOIN articles a ON b.article_id = a.id
+      WHERE b.user_id = $1
+      ORDER BY b.created_at
+    `, [userId]),
+    db.query(`
+      SELECT id, filename, original_name, mime_type, size, created_at
+      FROM media
+      WHERE user_id = $1
+      ORDER BY created_at
+    `, [userId]),
+    db.query(`
+      SELECT DISTINCT ON (session_id) session_id, user_agent, ip_address, created_at, expires_at, revoked_at
+      FROM refresh_tokens
+      WHERE user_id = $1
+      ORDER BY session_id, created_at DESC
+    `, [userId])
+  ]);
+
+  return {
+    exported_at: new Date().toISOString(),
+    user,
+    avatar: await readAvatar(user.avatar_url),
+    articles: articles.rows,
+    revisions: revisions.rows,
+    comments: comments.rows,
+    reactions: {
+      articles: articleReactions.rows,
+      comments: commentReactions.rows
+    },
+    following: following.rows,
+    bookmarks: bookmarks.rows,
+    media: media.rows.map(formatMedia),
+    sessions: sessions.rows
+  };
+};
+
+module.exports = {
+  deleteUser,
+  anonymizeUser,
+  exportUserData
+};
@@ -0,0 +1,6 @@
+// Максимальная вложенность ответов
+const MAX_COMMENT_DEPTH = 5;
+
+module.exports = {
+  MAX_COMMENT_DEPTH
+};
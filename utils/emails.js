@@ -0,0 +1,49 @@
+const { sendMail } = require('./mailer');
+const { issueUserToken } = require('./tokens');
+
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const EMAIL_VERIFICATION_EXPIRES_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_MINUTES) || 24 * 60;
+
+const frontendUrl = (pathname, token) => {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3001'}${pathname}?token=${token}`;
+};
+
+// Письма отправляются «по возможности»: ошибка доставки логируется,
+// но не прерывает основной запрос
+const deliver = async (message) => {
+  try {
+    await sendMail(message);
+  } catch (error) {
+    console.error('Ошибка отправки письма:', error);
+  }
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(user.id, 'password_reset', PASSWORD_RESET_EXPIRES_MINUTES);
+
+  await deliver({
+    to: user.email,
+    subject: 'Сброс пароля ArticleHub',
+    text: `Здравствуйте, ${user.username}!\n\n` +
+      `Чтобы задать новый пароль, перейдите по ссылке:\n${frontendUrl('/reset-password', token)}\n\n` +
+      `Ссылка действительна ${PASSWORD_RESET_EXPIRES_MINUTES} минут и может быть использована один раз.\n` +
+      'Если вы не запрашивали сброс пароля, просто проигнорируйте это письмо.'
+  });
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_EXPIRES_MINUTES);
+
+  await deliver({
+    to: user.email,
+    subject: 'Подтверждение email ArticleHub',
+    text: `Здравствуйте, ${user.username}!\n\n` +
+      `Подтвердите адрес электронной почты, перейдя по ссылке:\n${frontendUrl('/verify-email', token)}\n\n` +
+      'Если вы не регистрировались в ArticleHub, просто проигнорируйте это письмо.'
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
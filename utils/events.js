@@ -0,0 +1,106 @@
+const { EventEmitter } = require('events');
+const { getReactionSummaries } = require('./reactions');
+
+// Шина событий статей для потоков реального времени (в пределах одного процесса)
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channel = (articleId) => `article:${articleId}`;
+
+const publish = (articleId, type, data) => {
+  emitter.emit(channel(articleId), { type, data });
+};
+
+// Подписка на события нескольких статей; возвращает функцию отписки
+const subscribe = (articleIds, listener) => {
+  articleIds.forEach(id => emitter.on(channel(id), listener));
+
+  return () => {
+    articleIds.forEach(id => emitter.off(channel(id), listener));
+  };
+};
+
+// Каналы закрытия потоков: при завершении сессии или удалении пользователя
+// его открытые потоки закрываются, не дожидаясь очередной проверки доступа
+const sessionChannel = (sessionId) => `session:${sessionId}`;
+const userChannel = (userId) => `user:${userId}`;
+
+const closeSessionStreams = (sessionIds) => {
+  sessionIds.forEach(id => emitter.emit(sessionChannel(id)));
+};
+
+const closeUserStreams = (userId) => {
+  emitter.emit(userChannel(userId));
+};
+
+// Подписка потока на его закрытие; возвращает функцию отписки
+const onStreamRevoked = (userId, sessionId, listener) => {
+  emitter.on(sessionChannel(sessionId), listener);
+  emitter.on(userChannel(userId), listener);
+
+  return () => {
+    emitter.off(sessionChannel(sessionId), listener);
+    emitter.off(userChannel(userId), listener);
+  };
+};
+
+const hasSubscribers = (articleId) => emitter.listenerCount(channel(articleId)) > 0;
+
+// Счетчики реакций для рассылки всем подписчикам, без отметок конкретного пользователя
+const reactionCounts = async (target, id) => {
+  const summaries = await getReactionSummaries(target, [id]);
+  return summaries.get(id).map(({ user_reacted, ...reaction }) => reaction);
+};
+
+// Рассылка актуальных счетчиков реакций. Ошибки только логируются,
+// чтобы не прерывать основное действие.
+const publishArticleReactions = async (articleId) => {
+  articleId = parseInt(articleId);
+
+  if (!hasSubscribers(articleId)) {
+    return;
+  }
+
+  try {
+    const reactions = await reactionCounts('article', articleId);
+
+    publish(articleId, 'article.reactions', {
+      article_id: articleId,
+      reactions_count: reactions.reduce((sum, r) => sum + r.count, 0),
+      reactions
+    });
+  } catch (error) {
+    console.error('Ошибка рассылки реакций статьи:', error);
+  }
+};
+
+const publishCommentReactions = async (articleId, commentId) => {
+  commentId = parseInt(commentId);
+
+  if (!hasSubscribers(articleId)) {
+    return;
+  }
+
+  try {
+    const reactions = await reactionCounts('comment', commentId);
+
+    publish(articleId, 'comment.reactions', {
+      article_id: articleId,
+      comment_id: commentId,
+      reactions_count: reactions.reduce((sum, r) => sum + r.count, 0),
+      reactions
+    });
+  } catch (error) {
+    console.error('Ошибка рассылки реакций комментария:', error);
+  }
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  closeSessionStreams,
+  closeUserStreams,
+  onStreamRevoked,
+  publishArticleReactions,
+  publishCommentReactions
+};
@@ -0,0 +1,91 @@
+const sharp = require('sharp');
+const { generateKey, keyFromUrl, saveFile, fileUrl, removeFiles } = require('./storage');
+
+// Размеры квадратных вариантов аватара; avatar_url указывает на самый большой
+const AVATAR_SIZES = [64, 128, 256];
+const AVATAR_DEFAULT_SIZE = Math.max(...AVATAR_SIZES);
+
+// Сигнатуры поддерживаемых форматов (первые байты файла)
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: '.jpg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', extension: '.png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/gif', extension: '.gif', bytes: [0x47, 0x49, 0x46, 0x38] }
+];
+
+// Определяет тип изображения по содержимому, а не по заголовкам клиента
+const detectImageType = (buffer) => {
+  const signature = IMAGE_SIGNATURES.find(({ bytes }) => {
+    return buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+  });
+
+  return signature ? signature.mimeType : null;
+};
+
+const imageExtension = (mimeType) => {
+  const signature = IMAGE_SIGNATURES.find(item => item.mimeType === mimeType);
+  return signature ? signature.extension : '';
+};
+
+const variantKey = (baseKey, size) => `${baseKey}-${size}.webp`;
+
+// Сохраняет варианты аватара всех размеров. Метаданные (EXIF, GPS и т.д.)
+// не переносятся, ориентация с камеры применяется к самому изображению.
+const processAvatar = async (buffer, userId) => {
+  const baseKey = generateKey('avatar', userId, '');
+  const image = sharp(buffer).rotate();
+  const saved = [];
+
+  try {
+    for (const size of AVATAR_SIZES) {
+      const data = await image
+        .clone()
+        .resize(size, size, { fit: 'cover' })
+        .webp({ quality: 85 })
+        .toBuffer();
+
+      const key = variantKey(baseKey, size);
+      await saveFile(key, data, 'image/webp');
+      saved.push(key);
+    }
+  } catch (error) {
+    removeFiles(saved);
+    throw error;
+  }
+
+  return fileUrl(variantKey(baseKey, AVATAR_DEFAULT_SIZE));
+};
+
+// URL всех вариантов аватара по сохраненному avatar_url. Для аватаров,
+// загруженных до появления вариантов, все размеры указывают на исходный файл.
+const avatarVariants = (avatarUrl) => {
+  if (!avatarUrl) {
+    return null;
+  }
+
+  const suffix = `-${AVATAR_DEFAULT_SIZE}.webp`;
+
+  return Object.fromEntries(AVATAR_SIZES.map(size => [
+    size,
+    avatarUrl.endsWith(suffix)
+      ? avatarUrl.slice(0, -suffix.length) + `-${size}.webp`
+      : avatarUrl
+  ]));
+};
+
+const removeAvatarFiles = (avatarUrl) => {
+  if (!avatarUrl) {
+    return Promise.resolve();
+  }
+
+  const urls = new Set(Object.values(avatarVariants(avatarUrl)));
+  return removeFiles([...urls].map(keyFromUrl));
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  detectImageType,
+  imageExtension,
+  processAvatar,
+  avatarVariants,
+  removeAvatarFiles
+};
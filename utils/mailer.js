@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Транспорты доставки писем. Транспорт — async-функция, принимающая готовое письмо.
+// Для продакшена регистрируется свой транспорт через registerTransport (SMTP, API провайдера и т.д.)
+const transports = {
+  // Вывод письма в консоль сервера
+  console: async (message) => {
+    console.log('📧 Письмо:');
+    console.log(`  От: ${message.from}`);
+    console.log(`  Кому: ${message.to}`);
+    console.log(`  Тема: ${message.subject}`);
+    console.log(message.text);
+  },
+
+  // Сохранение письма в JSON-файл
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || 'mail/';
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.json`;
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Неизвестный транспорт почты: ${transportName}`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'ArticleHub <no-reply@articlehub.com>',
+    to,
+    subject,
+    text,
+    html,
+    date: new Date().toISOString()
+  };
+
+  await transport(message);
+  return message;
+};
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
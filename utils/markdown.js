@@ -0,0 +1,115 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+// Сырой HTML в markdown не допускается, ссылки в тексте распознаются автоматически
+const md = new MarkdownIt({ html: false, linkify: true });
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// Границы совпадений во фрагментах поиска (StartSel и StopSel для ts_headline).
+// Управляющие символы не встречаются в обычном тексте, поэтому фрагмент можно
+// сначала целиком экранировать, а затем заменить их тегами <mark>
+const HEADLINE_START = '\u0002';
+const HEADLINE_STOP = '\u0003';
+
+// Итоговый HTML дополнительно очищается: без скриптов, обработчиков событий
+// и опасных схем ссылок; внешние ссылки не передают referrer и вес
+const SANITIZE_OPTIONS = {
+  allowedTags: [...new Set([...sanitizeHtml.defaults.allowedTags, ...HEADING_TAGS, 'img'])],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['style'],
+    td: ['style'],
+    ...Object.fromEntries(HEADING_TAGS.map(tag => [tag, ['id']]))
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' })
+  }
+};
+
+// Якорь заголовка: буквы и цифры в нижнем регистре через дефис
+const slugify = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/[\s-]+/g, '-') || 'section';
+};
+
+const renderMarkdown = (content) => {
+  const tokens = md.parse(content, {});
+  const toc = [];
+  const usedIds = new Map();
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') {
+      return;
+    }
+
+    const text = tokens[index + 1].children
+      .filter(child => child.type === 'text' || child.type === 'code_inline')
+      .map(child => child.content)
+      .join('')
+      .trim();
+
+    // Повторяющиеся заголовки получают суффикс: intro, intro-2, ...
+    const slug = slugify(text);
+    const count = (usedIds.get(slug) || 0) + 1;
+    usedIds.set(slug, count);
+    const id = count > 1 ? `${slug}-${count}` : slug;
+
+    token.attrSet('id', id);
+    toc.push({ level: Number(token.tag.slice(1)), text, id });
+  });
+
+  return { html: md.renderer.render(tokens, md.options, {}), toc };
+};
+
+// Простой текст: абзацы по пустым строкам, переносы строк сохраняются
+const renderPlain = (content) => {
+  const html = content
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${md.utils.escapeHtml(paragraph).replace(/\n/g, '<br />\n')}</p>`)
+    .join('\n');
+
+  return { html, toc: [] };
+};
+
+// Возвращает безопасный HTML и оглавление по заголовкам
+const renderContent = (content, format = 'plain') => {
+  const { html, toc } = format === 'markdown' ? renderMarkdown(content) : renderPlain(content);
+
+  return {
+    html: sanitizeHtml(html, SANITIZE_OPTIONS),
+    toc
+  };
+};
+
+// Фрагмент содержания из ts_headline как безопасный HTML с подсветкой совпадений
+const renderHeadline = (headline) => {
+  return md.utils.escapeHtml(headline)
+    .split(HEADLINE_START).join('<mark>')
+    .split(HEADLINE_STOP).join('</mark>');
+};
+
+module.exports = {
+  HEADLINE_START,
+  HEADLINE_STOP,
+  renderContent,
+  renderHeadline
+};
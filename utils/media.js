@@ -0,0 +1,96 @@
+const { fileUrl } = require('./storage');
+
+// Квота на суммарный размер загруженных изображений пользователя
+const MEDIA_QUOTA_BYTES = (parseInt(process.env.MEDIA_QUOTA_MB) || 100) * 1024 * 1024;
+
+// Ограничение колонки media.original_name
+const ORIGINAL_NAME_MAX_LENGTH = 255;
+
+// Исходное имя файла для сохранения. multer читает имя из заголовка как latin1,
+// поэтому байты UTF-8 (например, кириллица) декодируются заново. Имя, уже
+// декодированное из filename*, или не являющееся корректным UTF-8, остается
+// как есть. Длинное имя обрезается по символам, а не по половинкам суррогатных пар.
+const normalizeOriginalName = (name) => {
+  const isLatin1 = !/[^\u0000-\u00ff]/.test(name);
+  const decoded = isLatin1 ? Buffer.from(name, 'latin1').toString('utf8') : name;
+  const result = decoded.includes('\uFFFD') ? name : decoded;
+
+  return Array.from(result).slice(0, ORIGINAL_NAME_MAX_LENGTH).join('');
+};
+
+const formatMedia = (media) => ({
+  id: media.id,
+  url: fileUrl(media.filename),
+  original_name: media.original_name,
+  mime_type: media.mime_type,
+  size: media.size,
+  created_at: media.created_at
+});
+
+const getMediaUsage = async (client, userId) => {
+  const result = await client.query(
+    'SELECT COALESCE(SUM(size), 0) as used FROM media WHERE user_id = $1',
+    [userId]
+  );
+
+  return {
+    used: parseInt(result.rows[0].used),
+    quota: MEDIA_QUOTA_BYTES
+  };
+};
+
+// Имена загруженных файлов, на которые ссылается текст статьи.
+// Адрес зависит от драйвера хранилища, поэтому проверяется только имя файла.
+const extractMediaFilenames = (content) => {
+  const filenames = new Set();
+  const pattern = /\/(media-[\w.-]+)/g;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    filenames.add(match[1]);
+  }
+
+  return [...filenames];
+};
+
+// Пересчитывает, какие изображения автора используются в статье
+const syncArticleMedia = async (client, articleId, content, authorId) => {
+  await client.query('DELETE FROM article_media WHERE article_id = $1', [articleId]);
+
+  const filenames = extractMediaFilenames(content);
+
+  if (filenames.length === 0) {
+    return;
+  }
+
+  await client.query(`
+    INSERT INTO article_media (article_id, media_id)
+    SELECT $1, id FROM media
+    WHERE user_id = $2 AND filename = ANY($3::varchar[])
+  `, [articleId, authorId, filenames]);
+};
+
+// Удаляет записи изображений, которые больше не используются ни в одной статье.
+// Возвращает имена файлов для удаления из хранилища после фиксации транзакции.
+const removeOrphanedMedia = async (client, mediaIds) => {
+  if (mediaIds.length === 0) {
+    return [];
+  }
+
+  const result = await client.query(`
+    DELETE FROM media m
+    WHERE m.id = ANY($1::int[])
+      AND NOT EXISTS (SELECT 1 FROM article_media am WHERE am.media_id = m.id)
+    RETURNING m.filename
+  `, [mediaIds]);
+
+  return result.rows.map(row => row.filename);
+};
+
+module.exports = {
+  normalizeOriginalName,
+  formatMedia,
+  getMediaUsage,
+  syncArticleMedia,
+  removeOrphanedMedia
+};
@@ -0,0 +1,46 @@
+const db = require('../config/database');
+
+const NOTIFICATION_TYPES = ['comment', 'reply', 'reaction', 'follow'];
+
+// Создает уведомление, если получатель не отключил этот тип.
+// Уведомления о собственных действиях не создаются.
+// Ошибки только логируются, чтобы не прерывать основное действие.
+const notify = async ({ userId, actorId, type, articleId = null, commentId = null, reactionId = null }) => {
+  if (!userId || userId === actorId) {
+    return;
+  }
+
+  try {
+    await db.query(`
+      INSERT INTO notifications (user_id, actor_id, type, article_id, comment_id, reaction_id)
+      SELECT $1, $2, $3::VARCHAR, $4, $5, $6
+      WHERE NOT EXISTS (
+        SELECT 1 FROM notification_preferences
+        WHERE user_id = $1 AND type = $3::VARCHAR AND enabled = FALSE
+      )
+    `, [userId, actorId, type, articleId, commentId, reactionId]);
+  } catch (error) {
+    console.error('Ошибка создания уведомления:', error);
+  }
+};
+
+// Настройки пользователя по всем типам (по умолчанию все включены)
+const getPreferences = async (client, userId) => {
+  const result = await client.query(
+    'SELECT type, enabled FROM notification_preferences WHERE user_id = $1',
+    [userId]
+  );
+
+  const preferences = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, true]));
+  result.rows.forEach(row => {
+    preferences[row.type] = row.enabled;
+  });
+
+  return preferences;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  notify,
+  getPreferences
+};
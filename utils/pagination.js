@@ -0,0 +1,53 @@
+// Курсорная пагинация по (created_at, id). Курсор непрозрачен для клиента:
+// это base64url от последней записи страницы. Значение created_at берется
+// из базы в текстовом виде, чтобы не терять микросекунды при сравнении.
+
+// Колонка, которую нужно добавить в выборку для построения курсора
+const cursorColumn = (alias) => `${alias}.created_at::text as cursor_created_at`;
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+
+const encodeCursor = (row) => {
+  return Buffer.from(JSON.stringify([row.cursor_created_at, row.id])).toString('base64url');
+};
+
+// Возвращает { createdAt, id } или null, если курсор поврежден
+const decodeCursor = (value) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(value), 'base64url').toString());
+
+    if (typeof createdAt !== 'string' || !TIMESTAMP_PATTERN.test(createdAt) || !Number.isInteger(id)) {
+      return null;
+    }
+
+    return { createdAt, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Условие «после курсора» для сортировки по (created_at, id) в направлении direction
+const cursorCondition = (alias, direction, paramIndex) => {
+  const operator = direction === 'DESC' ? '<' : '>';
+  return `(${alias}.created_at, ${alias}.id) ${operator} ($${paramIndex}::timestamp, $${paramIndex + 1})`;
+};
+
+// Убирает служебную колонку курсора из записей. Если записей больше limit
+// (запрашивается на одну больше), есть следующая страница.
+const paginateRows = (rows, limit) => {
+  const items = rows.slice(0, limit);
+  const hasNext = rows.length > limit;
+
+  return {
+    items: items.map(({ cursor_created_at, ...item }) => item),
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(items[items.length - 1]) : null
+  };
+};
+
+module.exports = {
+  cursorColumn,
+  decodeCursor,
+  cursorCondition,
+  paginateRows
+};
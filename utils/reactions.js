@@ -0,0 +1,64 @@
+const db = require('../config/database');
+
+// Таблицы реакций и счетчиков по типам для статей и комментариев
+const REACTION_TARGETS = {
+  article: { table: 'article_reactions', countsTable: 'article_reaction_counts', column: 'article_id' },
+  comment: { table: 'comment_reactions', countsTable: 'comment_reaction_counts', column: 'comment_id' }
+};
+
+// Сводка реакций сразу для всех переданных статей или комментариев одним запросом.
+// Возвращает Map: id -> [{ id, emoji, name, count, user_reacted }] со всеми
+// доступными реакциями, включая нулевые.
+const getReactionSummaries = async (target, ids, userId = null) => {
+  const { table, countsTable, column } = REACTION_TARGETS[target];
+  const uniqueIds = [...new Set(ids.map(Number))];
+  const summaries = new Map(uniqueIds.map(id => [id, []]));
+
+  if (uniqueIds.length === 0) {
+    return summaries;
+  }
+
+  const result = await db.query(`
+    SELECT
+      t.target_id,
+      r.id,
+      r.emoji,
+      r.name,
+      COALESCE(rc.count, 0) as count,
+      EXISTS (
+        SELECT 1 FROM ${table} x
+        WHERE x.${column} = t.target_id AND x.reaction_id = r.id AND x.user_id = $2
+      ) as user_reacted
+    FROM unnest($1::int[]) as t(target_id)
+    CROSS JOIN reactions r
+    LEFT JOIN ${countsTable} rc ON rc.${column} = t.target_id AND rc.reaction_id = r.id
+    ORDER BY t.target_id, r.id
+  `, [uniqueIds, userId]);
+
+  result.rows.forEach(row => {
+    summaries.get(row.target_id).push({
+      id: row.id,
+      emoji: row.emoji,
+      name: row.name,
+      count: row.count,
+      user_reacted: row.user_reacted
+    });
+  });
+
+  return summaries;
+};
+
+// Добавляет поле reactions к каждой записи списка
+const attachReactionSummaries = async (target, items, userId = null) => {
+  const summaries = await getReactionSummaries(target, items.map(item => item.id), userId);
+
+  return items.map(item => ({
+    ...item,
+    reactions: summaries.get(Number(item.id)) || []
+  }));
+};
+
+module.exports = {
+  getReactionSummaries,
+  attachReactionSummaries
+};
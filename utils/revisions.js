@@ -0,0 +1,30 @@
+// Сохранение текущего состояния статьи как первой ревизии,
+// если у статьи еще нет истории (статьи, созданные до появления ревизий)
+const ensureInitialRevision = async (client, articleId) => {
+  await client.query(`
+    INSERT INTO article_revisions (article_id, revision_number, title, content, content_format, author_id, created_at)
+    SELECT id, 1, title, content, content_format, author_id, updated_at
+    FROM articles
+    WHERE id = $1 AND NOT EXISTS (
+      SELECT 1 FROM article_revisions WHERE article_id = $1
+    )
+  `, [articleId]);
+};
+
+// Сохранение новой ревизии статьи
+const saveRevision = async (client, { articleId, title, content, contentFormat, authorId }) => {
+  const result = await client.query(`
+    INSERT INTO article_revisions (article_id, revision_number, title, content, content_format, author_id)
+    SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5
+    FROM article_revisions
+    WHERE article_id = $1
+    RETURNING id, revision_number, created_at
+  `, [articleId, title, content, contentFormat, authorId]);
+
+  return result.rows[0];
+};
+
+module.exports = {
+  ensureInitialRevision,
+  saveRevision
+};
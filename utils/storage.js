@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// Драйверы хранилища загруженных файлов. Драйвер — объект с async-методами
+// save(key, buffer, contentType), read(key), remove(key) и методом url(key).
+// Ключ — имя файла без каталогов; адрес файла для клиентов формирует драйвер.
+const drivers = {
+  // Локальный диск: файлы раздает сам сервер по /uploads.
+  // Подходит только для одного экземпляра приложения.
+  local: () => {
+    const dir = process.env.UPLOAD_PATH || 'uploads/';
+    const filePath = (key) => path.join(dir, key);
+
+    return {
+      save: async (key, buffer) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(filePath(key), buffer);
+      },
+      read: (key) => fs.promises.readFile(filePath(key)),
+      remove: (key) => fs.promises.unlink(filePath(key)),
+      url: (key) => `/uploads/${key}`
+    };
+  },
+
+  // S3-совместимое хранилище (AWS S3, MinIO и т.д.)
+  s3: () => {
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    const bucket = process.env.S3_BUCKET;
+    const endpoint = process.env.S3_ENDPOINT || undefined;
+
+    if (!bucket) {
+      throw new Error('Не задан S3_BUCKET для хранилища s3');
+    }
+
+    const client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint,
+      // MinIO и большинство совместимых хранилищ не поддерживают адресацию через поддомен
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+
+    const publicUrl = (process.env.S3_PUBLIC_URL ||
+      (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.amazonaws.com`)).replace(/\/+$/, '');
+
+    return {
+      save: async (key, buffer, contentType) => {
+        await client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType
+        }));
+      },
+      read: async (key) => {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await result.Body.transformToByteArray());
+      },
+      remove: async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      },
+      url: (key) => `${publicUrl}/${key}`
+    };
+  }
+};
+
+let storage = null;
+
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+  storage = null;
+};
+
+const getStorage = () => {
+  if (!storage) {
+    const driverName = process.env.STORAGE_DRIVER || 'local';
+    const driver = drivers[driverName];
+
+    if (!driver) {
+      throw new Error(`Неизвестный драйвер хранилища: ${driverName}`);
+    }
+
+    storage = driver();
+  }
+
+  return storage;
+};
+
+// Уникальное имя файла: префикс, владелец, время и случайная часть
+const generateKey = (prefix, userId, extension) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${prefix}-${userId}-${uniqueSuffix}${extension}`;
+};
+
+// Ключ файла по его адресу: последний сегмент пути
+const keyFromUrl = (url) => url.split('?')[0].split('/').pop();
+
+const saveFile = (key, buffer, contentType) => getStorage().save(key, buffer, contentType);
+
+const readFile = (key) => getStorage().read(key);
+
+const fileUrl = (key) => getStorage().url(key);
+
+// Удаление, которое можно не ждать: ошибки только логируются.
+// Возвращает обещание, которое выполняется после всех попыток удаления
+const removeFiles = (keys) => {
+  return Promise.all(keys.map(key => {
+    return getStorage().remove(key).catch(err => {
+      console.error('Ошибка удаления файла:', err);
+    });
+  }));
+};
+
+module.exports = {
+  registerDriver,
+  generateKey,
+  keyFromUrl,
+  saveFile,
+  readFile,
+  fileUrl,
+  removeFiles
+};
@@ -0,0 +1,57 @@
+// Подзапрос для получения тегов статьи (алиас статьи — a) в основных выборках
+const TAGS_SUBQUERY = `ARRAY(
+          SELECT t.name FROM article_tags tg
+          JOIN tags t ON tg.tag_id = t.id
+          WHERE tg.article_id = a.id
+          ORDER BY t.name
+        ) as tags`;
+
+// Приведение списка тегов к единому виду: без пробелов по краям,
+// в нижнем регистре и без повторов
+const normalizeTags = (tags = []) => {
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+};
+
+// Полная замена тегов статьи; отсутствующие теги создаются
+const setArticleTags = async (client, articleId, tags) => {
+  const names = normalizeTags(tags);
+
+  await client.query('DELETE FROM article_tags WHERE article_id = $1', [articleId]);
+
+  if (names.length === 0) {
+    return [];
+  }
+
+  await client.query(`
+    INSERT INTO tags (name)
+    SELECT unnest($1::varchar[])
+    ON CONFLICT (name) DO NOTHING
+  `, [names]);
+
+  await client.query(`
+    INSERT INTO article_tags (article_id, tag_id)
+    SELECT $1, id FROM tags WHERE name = ANY($2::varchar[])
+  `, [articleId, names]);
+
+  return names.sort();
+};
+
+// Получение тегов одной статьи
+const getArticleTags = async (client, articleId) => {
+  const result = await client.query(`
+    SELECT t.name
+    FROM article_tags tg
+    JOIN tags t ON tg.tag_id = t.id
+    WHERE tg.article_id = $1
+    ORDER BY t.name
+  `, [articleId]);
+
+  return result.rows.map(row => row.name);
+};
+
+module.exports = {
+  TAGS_SUBQUERY,
+  normalizeTags,
+  setArticleTags,
+  getArticleTags
+};
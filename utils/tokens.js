@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { closeSessionStreams } = require('./events');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Токен подключения к потоку событий передается в URL, поэтому живет минуту
+// и принимается только маршрутом /api/events
+const STREAM_TOKEN_PURPOSE = 'events';
+const STREAM_TOKEN_EXPIRES_IN = '60s';
+
+// В базе хранится только хеш refresh-токена
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Короткоживущий access-токен привязан к сессии (sid), чтобы его можно было отозвать
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Токен для потока событий той же сессии. until — срок действия access-токена,
+// по которому он выдан: дольше этого срока поток не остается открытым
+const generateStreamToken = (userId, sessionId, until) => {
+  return jwt.sign(
+    { userId, sid: sessionId, purpose: STREAM_TOKEN_PURPOSE, until },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_EXPIRES_IN }
+  );
+};
+
+const insertRefreshToken = async (client, userId, sessionId, meta = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await client.query(`
+    INSERT INTO refresh_tokens (user_id, session_id, token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6))
+  `, [
+    userId,
+    sessionId,
+    hashToken(refreshToken),
+    meta.userAgent ? meta.userAgent.slice(0, 255) : null,
+    meta.ip || null,
+    REFRESH_TOKEN_EXPIRES_DAYS
+  ]);
+
+  return refreshToken;
+};
+
+const buildTokens = (userId, sessionId, refreshToken) => ({
+  token: generateAccessToken(userId, sessionId),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+// Создание новой сессии при входе или регистрации
+const createSession = async (userId, meta) => {
+  const sessionId = crypto.randomUUID();
+
+  // Попутно удаляем истекшие токены пользователя
+  await db.query('DELETE FROM refresh_tokens WHERE user_id = $1 AND expires_at < CURRENT_TIMESTAMP', [userId]);
+
+  const refreshToken = await insertRefreshToken(db, userId, sessionId, meta);
+  return buildTokens(userId, sessionId, refreshToken);
+};
+
+// Ротация refresh-токена: старый токен отзывается, выдается новая пара.
+// Повторное использование отозванного токена означает его кражу,
+// поэтому в этом случае отзывается вся сессия.
+const rotateRefreshToken = async (refreshToken, meta) => {
+  return db.transaction(async (client) => {
+    const result = await client.query(`
+      SELECT id, user_id, session_id, revoked_at, expires_at < CURRENT_TIMESTAMP as expired
+      FROM refresh_tokens
+      WHERE token_hash = $1
+      FOR UPDATE
+    `, [hashToken(refreshToken)]);
+
+    const stored = result.rows[0];
+
+    if (!stored || stored.expired) {
+      return null;
+    }
+
+    if (stored.revoked_at) {
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE session_id = $1 AND revoked_at IS NULL',
+        [stored.session_id]
+      );
+      return null;
+    }
+
+    await client.query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [stored.id]);
+
+    const newRefreshToken = await insertRefreshToken(client, stored.user_id, stored.session_id, meta);
+    return buildTokens(stored.user_id, stored.session_id, newRefreshToken);
+  });
+};
+
+// Завершение сессии, к которой относится refresh-токен.
+// Открытые потоки событий сессии закрываются сразу.
+const revokeSessionByToken = async (refreshToken) => {
+  const result = await db.query(`
+    UPDATE refresh_tokens 
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE session_id = (SELECT session_id FROM refresh_tokens WHERE token_hash = $1)
+      AND revoked_at IS NULL
+    RETURNING session_id
+  `, [hashToken(refreshToken)]);
+
+  closeSessionStreams(result.rows.map(row => row.session_id));
+
+  return result.rowCount > 0;
+};
+
+// Завершение всех сессий пользователя, кроме указанной
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const result = await db.query(`
+    UPDATE refresh_tokens 
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND revoked_at IS NULL
+      AND ($2::uuid IS NULL OR session_id != $2::uuid)
+    RETURNING session_id
+  `, [userId, exceptSessionId]);
+
+  const sessionIds = new Set(result.rows.map(row => row.session_id));
+  closeSessionStreams(sessionIds);
+
+  return sessionIds.size;
+};
+
+// Выпуск одноразового токена для ссылки из письма.
+// Предыдущие неиспользованные токены того же назначения перестают действовать.
+const issueUserToken = async (userId, purpose, expiresMinutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.transaction(async (client) => {
+    await client.query(
+      'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+      [userId, purpose]
+    );
+    await client.query(`
+      INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+    `, [userId, purpose, hashToken(token), expiresMinutes]);
+  });
+
+  return token;
+};
+
+// Погашение одноразового токена. Токен помечается использованным атомарно,
+// поэтому повторный запрос его не найдет. Возвращает ID пользователя или null.
+const consumeUserToken = async (client, token, purpose) => {
+  const result = await client.query(`
+    UPDATE user_tokens 
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id
+  `, [hashToken(token), purpose]);
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  STREAM_TOKEN_PURPOSE,
+  STREAM_TOKEN_EXPIRES_IN,
+  generateStreamToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  revokeAllSessions,
+  issueUserToken,
+  consumeUserToken
+};